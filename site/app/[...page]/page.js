@@ -0,0 +1,64 @@
+import { getAliases, getAllPages, getPageBySlug } from '@/lib/markdown'
+import { notFound } from 'next/navigation'
+import PageLayout from '@/components/pages/PageLayout'
+import AliasRedirect from '@/components/layout/AliasRedirect'
+import { buildMetadata } from '@/lib/seo'
+
+// Content pages, plus the aliases that live outside /posts
+export async function generateStaticParams() {
+  const pages = await getAllPages()
+  const aliases = await getAliases()
+
+  return [
+    ...pages.map((page) => ({ page: page.slug })),
+    ...aliases
+      .filter((alias) => alias.locale === null)
+      .map((alias) => ({ page: alias.segments })),
+  ]
+}
+
+async function findAlias(slug) {
+  const aliases = await getAliases()
+  return aliases.find((alias) => alias.from === `/${slug.join('/')}`)
+}
+
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  const alias = await findAlias(params.page)
+
+  if (alias) {
+    return buildMetadata({ title: alias.title, path: alias.to, noindex: true })
+  }
+
+  try {
+    const { metadata, path } = await getPageBySlug(params.page)
+
+    return buildMetadata({
+      title: metadata.title,
+      description: metadata.description,
+      path,
+    })
+  } catch (error) {
+    return {}
+  }
+}
+
+export default async function MarkdownPage(props) {
+  const params = await Promise.resolve(props.params)
+  const alias = await findAlias(params.page)
+  if (alias) return <AliasRedirect to={alias.to} title={alias.title} />
+
+  // Only an unknown path is a 404; a page that fails to render fails the build
+  const pages = await getAllPages()
+  if (!pages.some((entry) => entry.slug.join('/') === params.page.join('/'))) notFound()
+
+  const page = await getPageBySlug(params.page)
+
+  return (
+    <PageLayout
+      layout={page.metadata.layout}
+      content={page.content}
+      metadata={page.metadata}
+    />
+  )
+}
@@ -0,0 +1,17 @@
+import { getFeed, renderJsonFeed } from '@/lib/feed'
+import { localeParams } from '@/lib/site'
+
+export const dynamic = 'force-static'
+
+export function generateStaticParams() {
+  return localeParams()
+}
+
+export async function GET(request, { params }) {
+  const { locale } = await params
+  const feed = await getFeed({ locale })
+
+  return new Response(renderJsonFeed(feed), {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  })
+}
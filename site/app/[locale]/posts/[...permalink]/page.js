@@ -0,0 +1,28 @@
+import { getAliases, getAllPosts } from '@/lib/markdown'
+import { DEFAULT_LOCALE, postPath } from '@/lib/site'
+
+// Translated posts, /vi/posts/why and /vi/posts/why/history, and the aliases under /vi/posts; the page
+// itself is shared with the default language
+export { default, generateMetadata } from '@/app/posts/[...permalink]/page'
+
+export async function generateStaticParams() {
+  const posts = await getAllPosts({ includeUnlisted: true, locale: null })
+  const translated = posts.filter((post) => post.lang !== DEFAULT_LOCALE)
+  const aliases = (await getAliases()).filter(
+    (alias) => alias.locale && alias.locale !== DEFAULT_LOCALE
+  )
+
+  // At least one page is required, see localeParams in lib/site
+  const served = translated.length || aliases.length ? translated : posts.slice(0, 1)
+
+  return [
+    ...served.flatMap((post) => {
+      const permalink = postPath({ ...post, lang: null }).split('/').slice(2)
+      return [
+        { locale: post.lang, permalink },
+        { locale: post.lang, permalink: [...permalink, 'history'] },
+      ]
+    }),
+    ...aliases.map((alias) => ({ locale: alias.locale, permalink: alias.segments })),
+  ]
+}
@@ -0,0 +1,8 @@
+import { localeParams } from '@/lib/site'
+
+// /vi/posts and friends: the posts listing, narrowed to one language
+export { default, generateMetadata } from '@/app/posts/page'
+
+export function generateStaticParams() {
+  return localeParams()
+}
@@ -0,0 +1,18 @@
+import { getPostsPage } from '@/lib/markdown'
+import { localeParams } from '@/lib/site'
+
+// /vi/posts/page/2 and friends, see app/posts/page/[page]
+export { default, generateMetadata } from '@/app/posts/page/[page]/page'
+
+export async function generateStaticParams() {
+  const pages = await Promise.all(
+    localeParams().map(async ({ locale }) => {
+      const { pageCount } = await getPostsPage(1, { locale })
+      return Array.from({ length: pageCount }, (_, index) => ({
+        locale,
+        page: String(index + 1),
+      }))
+    })
+  )
+  return pages.flat()
+}
@@ -0,0 +1,87 @@
+import { getArchive, getArchiveYear } from '@/lib/markdown'
+import Link from 'next/link'
+import { notFound } from 'next/navigation'
+import ArchiveMonths from '@/components/posts/ArchiveMonths'
+import { buildMetadata } from '@/lib/seo'
+import { DEFAULT_LOCALE } from '@/lib/site'
+
+export async function generateStaticParams() {
+  const archive = await getArchive()
+  return archive.map((entry) => ({ year: entry.year }))
+}
+
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  const year = await getArchiveYear(params.year)
+  if (!year) return {}
+
+  return buildMetadata({
+    title: `Posts from ${year.year}`,
+    description: `${year.count} ${year.count === 1 ? 'post' : 'posts'} published in ${year.year}`,
+    path: `/archive/${year.year}`,
+  })
+}
+
+export default async function ArchiveYearPage(props) {
+  const params = await Promise.resolve(props.params)
+  const archive = await getArchive()
+  const index = archive.findIndex((entry) => entry.year === params.year)
+
+  if (index === -1) {
+    notFound()
+  }
+
+  const year = archive[index]
+  // The archive is newest first
+  const newer = archive[index - 1]
+  const older = archive[index + 1]
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            {year.year}
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+            {year.count} {year.count === 1 ? 'post' : 'posts'} published in {year.year}
+          </p>
+        </div>
+      </section>
+
+      {/* Months */}
+      <section className="max-w-4xl mx-auto px-4">
+        <ArchiveMonths months={year.months} locale={DEFAULT_LOCALE} as="h2" />
+
+        <nav
+          aria-label="Other years"
+          className="mt-12 flex flex-wrap items-center justify-between gap-4"
+        >
+          <Link
+            href="/archive"
+            className="inline-flex items-center px-4 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 text-neutral-500 dark:text-neutral-400 transition-colors"
+          >
+            <i className="bi bi-arrow-left mr-2"></i>
+            Full Archive
+          </Link>
+          <div className="flex gap-4 text-primary-600 dark:text-primary-400">
+            {newer && (
+              <Link href={`/archive/${newer.year}`} className="hover:underline">
+                {newer.year}
+              </Link>
+            )}
+            {older && (
+              <Link href={`/archive/${older.year}`} className="hover:underline">
+                {older.year}
+              </Link>
+            )}
+          </div>
+        </nav>
+      </section>
+    </div>
+  )
+}
@@ -0,0 +1,69 @@
+import { getArchive } from '@/lib/markdown'
+import Link from 'next/link'
+import ArchiveMonths from '@/components/posts/ArchiveMonths'
+import { buildMetadata } from '@/lib/seo'
+import { DEFAULT_LOCALE } from '@/lib/site'
+
+export const metadata = buildMetadata({
+  title: 'Archive',
+  description: 'Every post by year and month',
+  path: '/archive',
+})
+
+export default async function ArchivePage() {
+  const archive = await getArchive()
+
+  if (!archive.length) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-neutral-600 dark:text-neutral-300">No posts found</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            Archive
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+            Every post by year and month
+          </p>
+        </div>
+      </section>
+
+      {/* Years */}
+      <section className="max-w-4xl mx-auto px-4 space-y-12">
+        {archive.map((year) => (
+          <article
+            key={year.year}
+            aria-labelledby={`year-${year.year}`}
+            className="bg-white dark:bg-neutral-800 p-6 rounded-lg shadow-sm"
+          >
+            <h2
+              id={`year-${year.year}`}
+              className="flex items-baseline justify-between text-2xl font-bold text-neutral-800 dark:text-neutral-100 mb-6"
+            >
+              <Link
+                href={`/archive/${year.year}`}
+                className="hover:text-primary-600 dark:hover:text-primary-400"
+              >
+                {year.year}
+              </Link>
+              <span className="text-sm font-normal text-neutral-500 dark:text-neutral-400">
+                {year.count} {year.count === 1 ? 'post' : 'posts'}
+              </span>
+            </h2>
+            <ArchiveMonths months={year.months} locale={DEFAULT_LOCALE} />
+          </article>
+        ))}
+      </section>
+    </div>
+  )
+}
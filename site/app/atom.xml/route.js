@@ -0,0 +1,11 @@
+import { getFeed, renderAtom } from '@/lib/feed'
+
+export const dynamic = 'force-static'
+
+export async function GET() {
+  const feed = await getFeed()
+
+  return new Response(renderAtom(feed), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  })
+}
@@ -0,0 +1,96 @@
+import { getAllAuthors, getAuthor, getPostsByAuthor } from '@/lib/markdown'
+import PostCard from '@/components/posts/PostCard'
+import AuthorAvatar from '@/components/authors/AuthorAvatar'
+import Link from 'next/link'
+import { notFound } from 'next/navigation'
+import { buildMetadata } from '@/lib/seo'
+import { postPath } from '@/lib/site'
+
+export async function generateStaticParams() {
+  const authors = await getAllAuthors()
+  return authors.map((author) => ({ id: author.id }))
+}
+
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  const author = await getAuthor(params.id)
+  if (!author) return {}
+
+  return buildMetadata({
+    title: author.name,
+    description: `Posts by ${author.name}`,
+    path: `/authors/${author.id}`,
+    image: author.avatar,
+    type: 'profile',
+  })
+}
+
+export default async function AuthorPage(props) {
+  const params = await Promise.resolve(props.params)
+  const author = await getAuthor(params.id)
+
+  if (!author) {
+    notFound()
+  }
+
+  const posts = await getPostsByAuthor(author.id)
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-3xl mx-auto px-4 text-center">
+          <AuthorAvatar author={author} size={96} className="mx-auto mb-6 shadow-md" />
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            {author.name}
+          </h1>
+          {author.bio && (
+            <div
+              dangerouslySetInnerHTML={{ __html: author.bio }}
+              className="markdown-content text-lg text-neutral-600 dark:text-neutral-300"
+            />
+          )}
+          {author.links.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-4 mt-6 text-sm">
+              {author.links.map((link) => (
+                <a
+                  key={link.url}
+                  href={link.url}
+                  rel="me noopener"
+                  className="inline-flex items-center text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  <i className="bi bi-link-45deg mr-1"></i>
+                  {link.label}
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Posts List */}
+      <section className="max-w-6xl mx-auto px-4">
+        <h2 className="text-2xl font-bold mb-8 text-neutral-800 dark:text-neutral-100">
+          {posts.length} {posts.length === 1 ? 'post' : 'posts'}
+        </h2>
+        <div className="grid gap-6">
+          {posts.map((post) => (
+            <PostCard key={postPath(post)} {...post} />
+          ))}
+        </div>
+        <div className="mt-12">
+          <Link
+            href="/authors"
+            className="inline-flex items-center px-4 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 text-neutral-500 dark:text-neutral-400 transition-colors"
+          >
+            <i className="bi bi-arrow-left mr-2"></i>
+            All Authors
+          </Link>
+        </div>
+      </section>
+    </div>
+  )
+}
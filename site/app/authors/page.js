@@ -0,0 +1,64 @@
+import { getAllAuthors } from '@/lib/markdown'
+import AuthorAvatar from '@/components/authors/AuthorAvatar'
+import Link from 'next/link'
+import { buildMetadata } from '@/lib/seo'
+
+export const metadata = buildMetadata({
+  title: 'Authors',
+  description: 'Everyone who writes for this site',
+  path: '/authors',
+})
+
+export default async function AuthorsPage() {
+  const authors = await getAllAuthors()
+
+  if (!authors.length) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-neutral-600 dark:text-neutral-300">No authors found</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            Authors
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+            Everyone who writes for this site
+          </p>
+        </div>
+      </section>
+
+      {/* Authors Grid */}
+      <section className="max-w-6xl mx-auto px-4">
+        <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-4">
+          {authors.map((author) => (
+            <Link
+              key={author.id}
+              href={`/authors/${author.id}`}
+              className="flex items-center gap-4 bg-white dark:bg-neutral-800 p-4 rounded-lg shadow-sm hover:shadow-md transition-shadow"
+            >
+              <AuthorAvatar author={author} size={48} />
+              <span>
+                <span className="block font-medium text-neutral-800 dark:text-neutral-100">
+                  {author.name}
+                </span>
+                <span className="text-sm text-neutral-500 dark:text-neutral-400">
+                  {author.count} {author.count === 1 ? 'post' : 'posts'}
+                </span>
+              </span>
+            </Link>
+          ))}
+        </div>
+      </section>
+    </div>
+  )
+}
@@ -0,0 +1,7 @@
+import { getContentManifest } from '@/lib/manifest'
+
+export const dynamic = 'force-static'
+
+export async function GET() {
+  return Response.json(getContentManifest())
+}
@@ -0,0 +1,11 @@
+import { getFeed, renderJsonFeed } from '@/lib/feed'
+
+export const dynamic = 'force-static'
+
+export async function GET() {
+  const feed = await getFeed()
+
+  return new Response(renderJsonFeed(feed), {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  })
+}
@@ -0,0 +1,11 @@
+import { getFeed, renderRss } from '@/lib/feed'
+
+export const dynamic = 'force-static'
+
+export async function GET() {
+  const feed = await getFeed()
+
+  return new Response(renderRss(feed), {
+    headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' },
+  })
+}
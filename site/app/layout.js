@@ -1,23 +1,51 @@
 import { Providers } from './providers'
 import Navigation from '@/components/layout/Navigation'
 import ThemeToggle from '@/components/layout/ThemeToggle'
+import { siteConfig } from '@/lib/config'
+import { getNavigation } from '@/lib/markdown'
+import { DEFAULT_LOCALE, SITE_DESCRIPTION, SITE_TITLE, absoluteUrl } from '@/lib/site'
+import 'katex/dist/katex.min.css'
 import '../styles/globals.css'
 
-export default function RootLayout({ children }) {
+export const metadata = {
+  metadataBase: new URL(absoluteUrl('/')),
+  title: {
+    default: SITE_TITLE,
+    template: `%s | ${SITE_TITLE}`,
+  },
+  description: SITE_DESCRIPTION,
+  openGraph: {
+    type: 'website',
+    siteName: SITE_TITLE,
+    title: SITE_TITLE,
+    description: SITE_DESCRIPTION,
+    url: absoluteUrl('/'),
+  },
+  alternates: {
+    canonical: absoluteUrl('/'),
+  },
+}
+
+export default async function RootLayout({ children }) {
+  const navigation = await getNavigation()
+
   return (
-    <html lang="en" suppressHydrationWarning>
+    <html lang={DEFAULT_LOCALE} suppressHydrationWarning>
       <head>
         <link
           rel="stylesheet"
           href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.min.css"
         />
+        <link rel="alternate" type="application/rss+xml" title={`${SITE_TITLE} RSS`} href={`${process.env.BASE_PATH}/feed.xml`} />
+        <link rel="alternate" type="application/atom+xml" title={`${SITE_TITLE} Atom`} href={`${process.env.BASE_PATH}/atom.xml`} />
+        <link rel="alternate" type="application/feed+json" title={`${SITE_TITLE} JSON Feed`} href={`${process.env.BASE_PATH}/feed.json`} />
       </head>
       <body className="min-h-screen bg-neutral-50 dark:bg-neutral-900 transition-colors duration-200">
         <Providers>
           <nav className="bg-white dark:bg-neutral-800 shadow-sm sticky top-0 z-10 backdrop-blur-sm bg-opacity-80 dark:bg-opacity-80">
             <div className="max-w-6xl mx-auto px-4 py-4">
               <div className="flex justify-between items-center">
-                <Navigation />
+                <Navigation links={navigation} siteName={SITE_TITLE} />
                 <ThemeToggle />
               </div>
             </div>
@@ -25,7 +53,23 @@ export default function RootLayout({ children }) {
           <main className="max-w-6xl mx-auto px-4 py-8">{children}</main>
           <footer className="border-t border-neutral-200 dark:border-neutral-800 mt-16">
             <div className="max-w-6xl mx-auto px-4 py-8 text-center text-neutral-500 dark:text-neutral-400">
-              Built with MarkVault - Preserving digital content for generations
+              {siteConfig.social.length > 0 && (
+                <div className="flex justify-center gap-4 mb-4">
+                  {siteConfig.social.map((link) => (
+                    <a
+                      key={link.href}
+                      href={link.href}
+                      aria-label={link.label}
+                      title={link.label}
+                      rel="me noopener"
+                      className="hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+                    >
+                      {link.icon ? <i className={`bi bi-${link.icon} text-xl`}></i> : link.label}
+                    </a>
+                  ))}
+                </div>
+              )}
+              {siteConfig.footer}
             </div>
           </footer>
         </Providers>
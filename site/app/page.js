@@ -1,28 +1,13 @@
 import { getAllPosts } from '@/lib/markdown'
 import PostCard from '@/components/posts/PostCard'
 import Link from 'next/link'
+import { siteConfig } from '@/lib/config'
 
 export default async function Home() {
   const posts = await getAllPosts()
   const latestPosts = posts.slice(0, 3)
 
-  const features = [
-    {
-      title: "Markdown Powered",
-      description: "Write in markdown, publish with confidence. Simple and powerful.",
-      icon: <i className="bi bi-markdown-fill text-3xl"></i>,
-    },
-    {
-      title: "Dark Mode",
-      description: "Easy on the eyes, day or night. Automatic theme switching.",
-      icon: <i className="bi bi-moon-stars-fill text-3xl"></i>,
-    },
-    {
-      title: "Lightning Fast",
-      description: "Minimal dependencies, maximum performance. Built for speed.",
-      icon: <i className="bi bi-lightning-fill text-3xl"></i>,
-    },
-  ]
+  const { hero, features } = siteConfig
 
   return (
     <div className="space-y-16">
@@ -35,56 +20,64 @@ export default async function Home() {
           <div className="h-full flex flex-col justify-center items-center text-center">
             <div className="space-y-6 max-w-3xl">
               <h1 className="text-4xl md:text-5xl lg:text-6xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-neutral-800 to-neutral-600 dark:from-neutral-100 dark:to-neutral-300">
-                Preserve Your Digital Legacy
+                {hero.title}
               </h1>
-              <p className="text-lg md:text-xl text-neutral-600 dark:text-neutral-300">
-                A modern markdown-powered platform designed for long-term content preservation
-              </p>
-              <div className="flex gap-4 justify-center pt-4">
-                <Link
-                  href="/posts"
-                  className="inline-flex items-center px-6 py-3 rounded-lg bg-primary-500 hover:bg-primary-600 text-white font-medium transition-colors"
-                >
-                  Explore Posts
-                  <i className="bi bi-arrow-right ml-2"></i>
-                </Link>
-                <Link
-                  href="/about"
-                  className="inline-flex items-center px-6 py-3 rounded-lg bg-neutral-100 hover:bg-neutral-200 dark:bg-neutral-700 dark:hover:bg-neutral-600 text-neutral-700 dark:text-neutral-100 font-medium transition-colors"
-                >
-                  Learn More
-                  <i className="bi bi-info-circle ml-2"></i>
-                </Link>
-              </div>
+              {hero.subtitle && (
+                <p className="text-lg md:text-xl text-neutral-600 dark:text-neutral-300">
+                  {hero.subtitle}
+                </p>
+              )}
+              {hero.actions.length > 0 && (
+                <div className="flex gap-4 justify-center pt-4">
+                  {hero.actions.map((action) => (
+                    <Link
+                      key={action.href}
+                      href={action.href}
+                      className={`inline-flex items-center px-6 py-3 rounded-lg font-medium transition-colors ${
+                        action.style === 'secondary'
+                          ? 'bg-neutral-100 hover:bg-neutral-200 dark:bg-neutral-700 dark:hover:bg-neutral-600 text-neutral-700 dark:text-neutral-100'
+                          : 'bg-primary-500 hover:bg-primary-600 text-white'
+                      }`}
+                    >
+                      {action.label}
+                      {action.icon && <i className={`bi bi-${action.icon} ml-2`}></i>}
+                    </Link>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
       </section>
 
       {/* Features Section */}
-      <section className="max-w-6xl mx-auto px-4">
-        <h2 className="text-3xl font-bold text-center mb-12 text-neutral-800 dark:text-neutral-100">
-          Why Choose MarkVault?
-        </h2>
-        <div className="grid md:grid-cols-3 gap-8">
-          {features.map((feature) => (
-            <div
-              key={feature.title}
-              className="text-center p-6 rounded-lg bg-white dark:bg-neutral-800 shadow-sm"
-            >
-              <div className="w-12 h-12 mx-auto mb-4 text-primary-500">
-                {feature.icon}
+      {features && (
+        <section className="max-w-6xl mx-auto px-4">
+          <h2 className="text-3xl font-bold text-center mb-12 text-neutral-800 dark:text-neutral-100">
+            {features.title}
+          </h2>
+          <div className="grid md:grid-cols-3 gap-8">
+            {features.items.map((feature) => (
+              <div
+                key={feature.title}
+                className="text-center p-6 rounded-lg bg-white dark:bg-neutral-800 shadow-sm"
+              >
+                {feature.icon && (
+                  <div className="w-12 h-12 mx-auto mb-4 text-primary-500">
+                    <i className={`bi bi-${feature.icon} text-3xl`}></i>
+                  </div>
+                )}
+                <h3 className="text-xl font-semibold mb-2 text-neutral-800 dark:text-neutral-100">
+                  {feature.title}
+                </h3>
+                <p className="text-neutral-600 dark:text-neutral-400">
+                  {feature.description}
+                </p>
               </div>
-              <h3 className="text-xl font-semibold mb-2 text-neutral-800 dark:text-neutral-100">
-                {feature.title}
-              </h3>
-              <p className="text-neutral-600 dark:text-neutral-400">
-                {feature.description}
-              </p>
-            </div>
-          ))}
-        </div>
-      </section>
+            ))}
+          </div>
+        </section>
+      )}
 
       {/* Latest Posts Section */}
       <section className="max-w-6xl mx-auto px-4">
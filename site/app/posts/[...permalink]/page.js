@@ -0,0 +1,289 @@
+import {
+  getPostBySlug,
+  getAllPosts,
+  getAdjacentPosts,
+  getAliases,
+  getPostHistory,
+  getBacklinks,
+  getRelatedPosts,
+  getTranslations,
+  checkLinks,
+} from "@/lib/markdown";
+import Image from "next/image";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import BackToTopButton from "@/components/posts/BackToTopButton";
+import TagList from "@/components/tags/TagList";
+import AuthorByline from "@/components/authors/AuthorByline";
+import SeriesNav from "@/components/posts/SeriesNav";
+import PostPagination from "@/components/posts/PostPagination";
+import PostHistory from "@/components/posts/PostHistory";
+import Backlinks from "@/components/posts/Backlinks";
+import RelatedPosts from "@/components/posts/RelatedPosts";
+import CodeCopyHandler from "@/components/posts/CodeCopyHandler";
+import TableOfContents from "@/components/posts/TableOfContents";
+import LanguageSwitcher from "@/components/layout/LanguageSwitcher";
+import AliasRedirect from "@/components/layout/AliasRedirect";
+import MdxContent from "@/components/mdx/MdxContent";
+import { ContentValidationError } from "@/lib/schema";
+import { blogPostingJsonLd, buildMetadata, serializeJsonLd } from "@/lib/seo";
+import { DEFAULT_LOCALE, assetPath, formatDate, localePath, postPath } from "@/lib/site";
+
+// Posts in the default language at their permalink and their /history, plus
+// the aliases under /posts; the other languages are served by app/[locale]/posts/[...permalink],
+// which reuses this page
+export async function generateStaticParams() {
+  // Unlisted posts still need a page, they are only left out of listings
+  const posts = await getAllPosts({ includeUnlisted: true });
+  const aliases = await getAliases();
+
+  // Runs once per build: list broken links in all content (or fail on them)
+  await checkLinks();
+
+  // Debug what paths we're generating
+  console.log(
+    "Generating paths for:",
+    posts.map((post) => postPath(post))
+  );
+
+  return [
+    ...posts.flatMap((post) => {
+      const permalink = postPath(post).split("/").slice(2);
+      return [{ permalink }, { permalink: [...permalink, "history"] }];
+    }),
+    ...aliases
+      .filter((alias) => alias.locale === DEFAULT_LOCALE)
+      .map((alias) => ({ permalink: alias.segments })),
+  ];
+}
+
+// The post, post history or alias behind the requested URL
+async function resolvePermalink(params) {
+  const locale = params.locale || DEFAULT_LOCALE;
+  const pathname = localePath(locale, `/posts/${params.permalink.join("/")}`);
+  const alias = (await getAliases()).find((entry) => entry.from === pathname);
+  const posts = await getAllPosts({ includeUnlisted: true, locale });
+  const post = posts.find((entry) => postPath(entry) === pathname);
+  const history = posts.find((entry) => `${postPath(entry)}/history` === pathname);
+
+  return {
+    locale,
+    alias,
+    entry: post || history,
+    slug: (post || history)?.slug,
+    history: !post && Boolean(history),
+  };
+}
+
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params);
+  const { locale, alias, entry, slug, history } = await resolvePermalink(params);
+
+  if (alias) {
+    return buildMetadata({ title: alias.title, path: alias.to, noindex: true });
+  }
+
+  try {
+    // The listing entry has the title; the revisions and their diffs are
+    // only read for the page itself
+    if (history) {
+      return buildMetadata({
+        title: `History of ${entry.title}`,
+        description: `Every change to "${entry.title}" since it was written`,
+        path: `${postPath(entry)}/history`,
+        noindex: true,
+      });
+    }
+
+    const { metadata } = await getPostBySlug(slug, { locale });
+    const translations = await getTranslations(metadata.translationKey);
+
+    return buildMetadata({
+      title: metadata.title,
+      description: metadata.excerpt,
+      path: postPath({ ...metadata, slug }),
+      image: metadata.image,
+      type: "article",
+      publishedTime: metadata.isoDate,
+      modifiedTime: metadata.history.updated,
+      authors: metadata.authors.map((author) => author.name),
+      tags: metadata.tags.map((tag) => tag.name),
+      noindex: metadata.status !== "published",
+      languages: Object.fromEntries(
+        translations.map((translation) => [translation.lang, translation.path])
+      ),
+      defaultLanguage: DEFAULT_LOCALE,
+    });
+  } catch (error) {
+    return {};
+  }
+}
+
+function calculateReadingTime(content) {
+  const wordsPerMinute = 200;
+  const words = content.trim().split(/\s+/).length;
+  return Math.ceil(words / wordsPerMinute);
+}
+
+export default async function PostPage(props) {
+  try {
+    // Wait for params to be available
+    const params = await Promise.resolve(props.params);
+    const { locale, alias, slug, history } = await resolvePermalink(params);
+    if (alias) return <AliasRedirect to={alias.to} title={alias.title} />;
+    if (history) return <PostHistory {...await getPostHistory(slug, { locale })} />;
+
+    const { content, format, source, file, toc, metadata } = await getPostBySlug(slug, {
+      locale,
+    });
+    const { previous, next, series } = await getAdjacentPosts(slug, { locale });
+    const translations = await getTranslations(metadata.translationKey);
+    const backlinks = await getBacklinks(postPath({ ...metadata, slug }));
+    const related = await getRelatedPosts(slug, { locale });
+    const readingTime = calculateReadingTime(content);
+    const { updated } = metadata.history;
+
+    return (
+      <div lang={metadata.lang} className="max-w-6xl mx-auto animate-fadeIn">
+        <script
+          type="application/ld+json"
+          dangerouslySetInnerHTML={{
+            __html: serializeJsonLd(blogPostingJsonLd({ slug, metadata })),
+          }}
+        />
+        {(metadata.status === "draft" || metadata.status === "scheduled") && (
+          <div
+            role="status"
+            className="mb-12 px-4 py-3 rounded-lg text-center text-sm font-medium bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100"
+          >
+            <i className="bi bi-pencil-square mr-2"></i>
+            {metadata.status === "draft"
+              ? "Draft – this post is not published and only visible in development"
+              : `Scheduled – this post will be published on ${metadata.date}`}
+          </div>
+        )}
+        {/* Article Header */}
+        <header className="relative py-16 -mt-8 mb-12 bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900">
+          <div className="absolute inset-0 overflow-hidden">
+            <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+          </div>
+          <div className="relative max-w-5xl mx-auto px-4 text-center">
+            <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+              {metadata.title}
+            </h1>
+            {metadata.excerpt && (
+              <p className="text-lg text-neutral-600 dark:text-neutral-300 mb-6">
+                {metadata.excerpt}
+              </p>
+            )}
+            <div className="flex items-center justify-center space-x-4 text-sm text-neutral-500 dark:text-neutral-400">
+              <AuthorByline authors={metadata.authors} />
+              <div className="flex items-center">
+                <i className="bi bi-calendar3 mr-2"></i>
+                <time>{metadata.date}</time>
+              </div>
+              <div className="flex items-center">
+                <i className="bi bi-clock mr-2"></i>
+                <span>{readingTime} min read</span>
+              </div>
+            </div>
+            <div className="flex items-center justify-center space-x-4 mt-3 text-sm text-neutral-500 dark:text-neutral-400">
+              {updated && updated !== metadata.isoDate && (
+                <span>
+                  Updated <time dateTime={updated}>{formatDate(updated, metadata.lang)}</time>
+                </span>
+              )}
+              <Link
+                href={`${postPath({ ...metadata, slug })}/history`}
+                className="inline-flex items-center hover:text-primary-600 dark:hover:text-primary-400"
+              >
+                <i className="bi bi-clock-history mr-2"></i>
+                History
+              </Link>
+            </div>
+            <TagList tags={metadata.tags} className="justify-center mt-6" />
+            <LanguageSwitcher
+              links={translations}
+              current={metadata.lang}
+              className="justify-center mt-6"
+            />
+          </div>
+        </header>
+
+        {/* Main Content */}
+        <article className="px-4">
+          <div
+            className={
+              toc.length
+                ? "max-w-4xl mx-auto xl:max-w-none xl:grid xl:grid-cols-[minmax(0,1fr)_14rem] xl:gap-10"
+                : "max-w-4xl mx-auto"
+            }
+          >
+            <div>
+              {/* Featured Image */}
+              {metadata.image && (
+                <div className="mb-12 rounded-xl overflow-hidden shadow-lg relative h-[400px]">
+                  <Image
+                    src={assetPath(metadata.image)}
+                    alt={metadata.title}
+                    fill
+                    className="object-cover hover:scale-105 transition-transform duration-300"
+                    priority
+                    sizes="(max-width: 1024px) 100vw, 800px"
+                  />
+                </div>
+              )}
+
+              <SeriesNav series={series} currentSlug={slug} />
+
+              <TableOfContents toc={toc} variant="collapsible" />
+
+              <div className="bg-white dark:bg-neutral-800 p-8 md:p-12 rounded-xl shadow-sm">
+                {format === "mdx" ? (
+                  <div className="markdown-content">
+                    <MdxContent source={source} file={file} lang={metadata.lang} />
+                  </div>
+                ) : (
+                  <div
+                    dangerouslySetInnerHTML={{ __html: content }}
+                    className="markdown-content"
+                  />
+                )}
+                <CodeCopyHandler />
+              </div>
+
+              <Backlinks links={backlinks} />
+
+              {/* Series parts link each other in the box above */}
+              {!series && <PostPagination previous={previous} next={next} />}
+
+              <RelatedPosts posts={related} />
+
+              {/* Article Footer */}
+              <footer className="mt-12 mb-16 flex flex-col sm:flex-row justify-between items-center gap-4 text-neutral-500 dark:text-neutral-400">
+                <Link
+                  href={localePath(locale, "/posts")}
+                  className="inline-flex items-center px-4 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors"
+                >
+                  <i className="bi bi-arrow-left mr-2"></i>
+                  Back to Posts
+                </Link>
+                <BackToTopButton />
+              </footer>
+            </div>
+
+            {toc.length > 0 && (
+              <aside className="hidden xl:block">
+                <TableOfContents toc={toc} />
+              </aside>
+            )}
+          </div>
+        </article>
+      </div>
+    );
+  } catch (error) {
+    // Broken content must fail the build, not turn into a 404
+    if (error instanceof ContentValidationError) throw error;
+    notFound();
+  }
+}
@@ -1,9 +1,46 @@
-import { getAllPosts } from '@/lib/markdown'
+import { getPostsPage } from '@/lib/markdown'
 import Link from 'next/link'
 import Image from 'next/image'
+import { notFound } from 'next/navigation'
+import TagList from '@/components/tags/TagList'
+import LanguageSwitcher from '@/components/layout/LanguageSwitcher'
+import PostListPagination from '@/components/posts/PostListPagination'
+import { buildMetadata } from '@/lib/seo'
+import { DEFAULT_LOCALE, LOCALES, assetPath, localePath, postPath, postsPagePath } from '@/lib/site'
 
-export default async function PostsPage() {
-  const posts = await getAllPosts()
+// One listing per language: /posts, /vi/posts, ...
+const listings = LOCALES.map((locale) => ({
+  lang: locale.code,
+  label: locale.label,
+  path: localePath(locale.code, '/posts'),
+}))
+
+// Later pages are served by app/posts/page/[page], which reuses this page
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  const locale = params?.locale || DEFAULT_LOCALE
+  const page = Number(params?.page || 1)
+
+  return buildMetadata({
+    title: page > 1 ? `Posts – Page ${page}` : 'Posts',
+    description: 'Explore our collection of thoughts, ideas, and discoveries',
+    path: postsPagePath(page, locale),
+    // Only the first pages line up across languages
+    ...(page === 1 && {
+      languages: Object.fromEntries(listings.map((listing) => [listing.lang, listing.path])),
+      defaultLanguage: DEFAULT_LOCALE,
+    }),
+  })
+}
+
+export default async function PostsPage(props) {
+  const params = await Promise.resolve(props.params)
+  const locale = params?.locale || DEFAULT_LOCALE
+  const { posts, page, pageCount } = await getPostsPage(Number(params?.page || 1), {
+    locale,
+  })
+
+  if (page > 1 && !posts.length) notFound()
 
   if (!posts || posts.length === 0) {
     return (
@@ -14,7 +51,7 @@ export default async function PostsPage() {
   }
 
   return (
-    <div className="space-y-16 animate-fadeIn">
+    <div lang={locale} className="space-y-16 animate-fadeIn">
       {/* Header Section */}
       <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
         <div className="absolute inset-0 overflow-hidden">
@@ -25,21 +62,24 @@ export default async function PostsPage() {
             Latest Posts
           </h1>
           <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
-            Explore our collection of thoughts, ideas, and discoveries
+            {page > 1
+              ? `Page ${page} of ${pageCount}`
+              : 'Explore our collection of thoughts, ideas, and discoveries'}
           </p>
+          <LanguageSwitcher links={listings} current={locale} className="justify-center mt-6" />
         </div>
       </section>
 
       {/* Posts Grid */}
       <section className="max-w-6xl mx-auto px-4">
         <div className="space-y-12">
-          {/* Featured Post */}
-          {posts[0] && (
+          {/* Featured Post, on the first page only */}
+          {page === 1 && posts[0] && (
             <article className="bg-white dark:bg-neutral-800 rounded-lg shadow-sm overflow-hidden">
               <div className="md:grid md:grid-cols-2">
                 <div className="relative h-64 md:h-full">
                   <Image
-                    src={posts[0].image}
+                    src={assetPath(posts[0].image)}
                     alt={posts[0].title}
                     fill
                     className="object-cover"
@@ -53,7 +93,7 @@ export default async function PostsPage() {
                   </time>
                   <h2 className="text-2xl font-bold text-neutral-800 dark:text-neutral-100 mt-2 mb-4">
                     <Link
-                      href={`/posts/${posts[0].slug}`}
+                      href={postPath(posts[0])}
                       className="hover:text-primary-600 dark:hover:text-primary-400"
                     >
                       {posts[0].title}
@@ -64,8 +104,9 @@ export default async function PostsPage() {
                       {posts[0].excerpt}
                     </p>
                   )}
+                  <TagList tags={posts[0].tags} className="mb-6" />
                   <Link
-                    href={`/posts/${posts[0].slug}`}
+                    href={postPath(posts[0])}
                     className="inline-flex items-center text-primary-600 dark:text-primary-400 hover:underline"
                   >
                     Read More
@@ -78,7 +119,7 @@ export default async function PostsPage() {
 
           {/* Other Posts */}
           <div className="grid md:grid-cols-2 gap-8">
-            {posts.slice(1).map((post) => (
+            {posts.slice(page === 1 ? 1 : 0).map((post) => (
               <article
                 key={post.slug}
                 className="bg-white dark:bg-neutral-800 p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow"
@@ -88,7 +129,7 @@ export default async function PostsPage() {
                 </time>
                 <h2 className="text-xl font-bold text-neutral-800 dark:text-neutral-100 mt-2 mb-4">
                   <Link
-                    href={`/posts/${post.slug}`}
+                    href={postPath(post)}
                     className="hover:text-primary-600 dark:hover:text-primary-400"
                   >
                     {post.title}
@@ -99,8 +140,9 @@ export default async function PostsPage() {
                     {post.excerpt}
                   </p>
                 )}
+                <TagList tags={post.tags} className="mb-4" />
                 <Link
-                  href={`/posts/${post.slug}`}
+                  href={postPath(post)}
                   className="inline-flex items-center text-primary-600 dark:text-primary-400 hover:underline"
                 >
                   Read More
@@ -109,6 +151,8 @@ export default async function PostsPage() {
               </article>
             ))}
           </div>
+
+          <PostListPagination page={page} pageCount={pageCount} locale={locale} />
         </div>
       </section>
     </div>
@@ -0,0 +1,31 @@
+import { getPostsPage } from '@/lib/markdown'
+import AliasRedirect from '@/components/layout/AliasRedirect'
+import PostsPage, { generateMetadata as generateListingMetadata } from '@/app/posts/page'
+import { buildMetadata } from '@/lib/seo'
+import { DEFAULT_LOCALE, postsPagePath } from '@/lib/site'
+
+// /posts/page/2 and on: older posts, postsPerPage at a time. /posts/page/1
+// redirects to /posts; it is always built, as `output: export` rejects a
+// route without pages
+export async function generateStaticParams() {
+  const { pageCount } = await getPostsPage(1)
+  return Array.from({ length: pageCount }, (_, index) => ({ page: String(index + 1) }))
+}
+
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  if (Number(params.page) > 1) return generateListingMetadata(props)
+
+  return buildMetadata({
+    title: 'Posts',
+    path: postsPagePath(1, params.locale || DEFAULT_LOCALE),
+    noindex: true,
+  })
+}
+
+export default async function PostsListingPage(props) {
+  const params = await Promise.resolve(props.params)
+  if (Number(params.page) > 1) return <PostsPage {...props} />
+
+  return <AliasRedirect to={postsPagePath(1, params.locale || DEFAULT_LOCALE)} title="Posts" />
+}
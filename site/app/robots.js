@@ -0,0 +1,10 @@
+import { absoluteUrl } from '@/lib/site'
+
+export const dynamic = 'force-static'
+
+export default function robots() {
+  return {
+    rules: { userAgent: '*', allow: '/' },
+    sitemap: absoluteUrl('/sitemap.xml'),
+  }
+}
@@ -0,0 +1,8 @@
+import { getSearchIndex } from '@/lib/search'
+
+export const dynamic = 'force-static'
+
+export async function GET() {
+  const index = await getSearchIndex()
+  return Response.json(index)
+}
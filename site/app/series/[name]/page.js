@@ -0,0 +1,89 @@
+import { getAllSeries, getSeries } from '@/lib/markdown'
+import Link from 'next/link'
+import { notFound } from 'next/navigation'
+import TagList from '@/components/tags/TagList'
+import { buildMetadata } from '@/lib/seo'
+import { postPath } from '@/lib/site'
+
+export async function generateStaticParams() {
+  const series = await getAllSeries()
+  return series.map((entry) => ({ name: entry.slug }))
+}
+
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  const series = await getSeries(decodeURIComponent(params.name))
+  if (!series) return {}
+
+  return buildMetadata({
+    title: series.name,
+    description: `A ${series.posts.length}-part series: ${series.posts.map((post) => post.title).join(', ')}`,
+    path: `/series/${series.slug}`,
+  })
+}
+
+export default async function SeriesPage(props) {
+  const params = await Promise.resolve(props.params)
+  const series = await getSeries(decodeURIComponent(params.name))
+
+  if (!series) {
+    notFound()
+  }
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <p className="text-sm uppercase tracking-wide text-primary-600 dark:text-primary-400 mb-2">
+            Series
+          </p>
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            {series.name}
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+            {series.posts.length} {series.posts.length === 1 ? 'part' : 'parts'}
+          </p>
+        </div>
+      </section>
+
+      {/* Parts */}
+      <section className="max-w-4xl mx-auto px-4">
+        <ol className="space-y-6">
+          {series.posts.map((post, index) => (
+            <li
+              key={post.slug}
+              className="flex gap-6 bg-white dark:bg-neutral-800 p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow"
+            >
+              <span className="text-3xl font-bold text-primary-500 dark:text-primary-400">
+                {index + 1}
+              </span>
+              <div>
+                <h2 className="text-xl font-bold text-neutral-800 dark:text-neutral-100">
+                  <Link
+                    href={postPath(post)}
+                    className="hover:text-primary-600 dark:hover:text-primary-400"
+                  >
+                    {post.title}
+                  </Link>
+                </h2>
+                <time className="text-sm text-neutral-500 dark:text-neutral-400">
+                  {post.date}
+                </time>
+                {post.excerpt && (
+                  <p className="text-neutral-600 dark:text-neutral-300 mt-2">
+                    {post.excerpt}
+                  </p>
+                )}
+                <TagList tags={post.tags} className="mt-4" />
+              </div>
+            </li>
+          ))}
+        </ol>
+      </section>
+    </div>
+  )
+}
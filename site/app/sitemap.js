@@ -0,0 +1,96 @@
+import {
+  getAllAuthors,
+  getAllPages,
+  getAllPosts,
+  getAllSeries,
+  getAllTags,
+  getArchive,
+  getPostsPage,
+} from '@/lib/markdown'
+import { LOCALES, absoluteUrl, localePath, postPath, postsPagePath } from '@/lib/site'
+
+export const dynamic = 'force-static'
+
+function lastModified(date) {
+  const parsed = date ? new Date(date) : null
+  return parsed && !isNaN(parsed) ? parsed : undefined
+}
+
+// hreflang links between the translations of one page
+function languageAlternates(entries) {
+  if (entries.length < 2) return undefined
+  return {
+    languages: Object.fromEntries(
+      entries.map((entry) => [entry.lang, absoluteUrl(entry.path)])
+    ),
+  }
+}
+
+export default async function sitemap() {
+  const [posts, pages, tags, series, authors, archive, pageCounts] = await Promise.all([
+    getAllPosts({ locale: null }),
+    getAllPages(),
+    getAllTags(),
+    getAllSeries(),
+    getAllAuthors(),
+    getArchive(),
+    Promise.all(
+      LOCALES.map(async (locale) => (await getPostsPage(1, { locale: locale.code })).pageCount)
+    ),
+  ])
+  const latest = lastModified(posts[0]?.isoDate)
+  const listings = LOCALES.map((locale) => ({
+    lang: locale.code,
+    path: localePath(locale.code, '/posts'),
+  }))
+  const translations = (post) =>
+    posts
+      .filter((other) => other.translationKey === post.translationKey)
+      .map((other) => ({ lang: other.lang, path: postPath(other) }))
+
+  return [
+    { url: absoluteUrl('/'), lastModified: latest, priority: 1 },
+    ...listings.map((listing) => ({
+      url: absoluteUrl(listing.path),
+      lastModified: latest,
+      priority: 0.8,
+      alternates: languageAlternates(listings),
+    })),
+    // Older pages of each listing
+    ...LOCALES.flatMap((locale, index) =>
+      Array.from({ length: pageCounts[index] - 1 }, (_, page) => ({
+        url: absoluteUrl(postsPagePath(page + 2, locale.code)),
+        priority: 0.3,
+      }))
+    ),
+    { url: absoluteUrl('/tags'), lastModified: latest, priority: 0.5 },
+    { url: absoluteUrl('/archive'), lastModified: latest, priority: 0.5 },
+    ...archive.map((year) => ({
+      url: absoluteUrl(`/archive/${year.year}`),
+      lastModified: lastModified(year.months[0].posts[0].isoDate),
+      priority: 0.4,
+    })),
+    ...pages.map((page) => ({
+      url: absoluteUrl(page.path),
+      priority: 0.5,
+    })),
+    ...posts.map((post) => ({
+      url: absoluteUrl(postPath(post)),
+      lastModified: lastModified(post.updated || post.isoDate),
+      priority: 0.7,
+      alternates: languageAlternates(translations(post)),
+    })),
+    ...tags.map((tag) => ({
+      url: absoluteUrl(`/tags/${tag.slug}`),
+      priority: 0.4,
+    })),
+    ...series.map((entry) => ({
+      url: absoluteUrl(`/series/${entry.slug}`),
+      priority: 0.5,
+    })),
+    ...authors.map((author) => ({
+      url: absoluteUrl(`/authors/${author.id}`),
+      priority: 0.4,
+    })),
+  ]
+}
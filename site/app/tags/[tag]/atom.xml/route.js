@@ -0,0 +1,19 @@
+import { getAllTags } from '@/lib/markdown'
+import { getFeed, renderAtom } from '@/lib/feed'
+
+export const dynamic = 'force-static'
+
+export async function generateStaticParams() {
+  const tags = await getAllTags()
+  return tags.map((tag) => ({ tag: tag.slug }))
+}
+
+export async function GET(request, { params }) {
+  const { tag } = await params
+  // Tags in other scripts arrive percent-encoded
+  const feed = await getFeed({ tag: decodeURIComponent(tag) })
+
+  return new Response(renderAtom(feed), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  })
+}
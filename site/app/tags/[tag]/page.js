@@ -0,0 +1,81 @@
+import { getAllTags, getPostsByTag } from '@/lib/markdown'
+import PostCard from '@/components/posts/PostCard'
+import Link from 'next/link'
+import { notFound } from 'next/navigation'
+import { buildMetadata } from '@/lib/seo'
+
+export async function generateStaticParams() {
+  const tags = await getAllTags()
+  return tags.map((tag) => ({ tag: tag.slug }))
+}
+
+// Tags in other scripts (/tags/日本語) arrive percent-encoded
+export async function generateMetadata(props) {
+  const params = await Promise.resolve(props.params)
+  const tags = await getAllTags()
+  const tag = tags.find((t) => t.slug === decodeURIComponent(params.tag))
+  if (!tag) return {}
+
+  return buildMetadata({
+    title: `Posts tagged "${tag.name}"`,
+    description: `${tag.count} ${tag.count === 1 ? 'post' : 'posts'} tagged with "${tag.name}"`,
+    path: `/tags/${tag.slug}`,
+  })
+}
+
+export default async function TagPage(props) {
+  const params = await Promise.resolve(props.params)
+  const tags = await getAllTags()
+  const tag = tags.find((t) => t.slug === decodeURIComponent(params.tag))
+
+  if (!tag) {
+    notFound()
+  }
+
+  const posts = await getPostsByTag(tag.slug)
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            <i className="bi bi-hash text-primary-500"></i>
+            {tag.name}
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+            {tag.count} {tag.count === 1 ? 'post' : 'posts'} tagged with "{tag.name}"
+          </p>
+          <a
+            href={`${process.env.BASE_PATH}/tags/${tag.slug}/feed.xml`}
+            className="inline-flex items-center mt-4 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            <i className="bi bi-rss-fill mr-2"></i>
+            Subscribe to this tag
+          </a>
+        </div>
+      </section>
+
+      {/* Posts List */}
+      <section className="max-w-6xl mx-auto px-4">
+        <div className="grid gap-6">
+          {posts.map((post) => (
+            <PostCard key={post.slug} {...post} />
+          ))}
+        </div>
+        <div className="mt-12">
+          <Link
+            href="/tags"
+            className="inline-flex items-center px-4 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 text-neutral-500 dark:text-neutral-400 transition-colors"
+          >
+            <i className="bi bi-arrow-left mr-2"></i>
+            All Tags
+          </Link>
+        </div>
+      </section>
+    </div>
+  )
+}
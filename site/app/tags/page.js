@@ -0,0 +1,61 @@
+import { getAllTags } from '@/lib/markdown'
+import Link from 'next/link'
+import { buildMetadata } from '@/lib/seo'
+
+export const metadata = buildMetadata({
+  title: 'Tags',
+  description: 'Browse posts by topic',
+  path: '/tags',
+})
+
+export default async function TagsPage() {
+  const tags = await getAllTags()
+
+  if (!tags || tags.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-neutral-600 dark:text-neutral-300">No tags found</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-16 animate-fadeIn">
+      {/* Header Section */}
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            Tags
+          </h1>
+          <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+            Browse posts by topic
+          </p>
+        </div>
+      </section>
+
+      {/* Tags Grid */}
+      <section className="max-w-6xl mx-auto px-4">
+        <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-4">
+          {tags.map((tag) => (
+            <Link
+              key={tag.slug}
+              href={`/tags/${tag.slug}`}
+              className="flex items-center justify-between bg-white dark:bg-neutral-800 p-4 rounded-lg shadow-sm hover:shadow-md transition-shadow"
+            >
+              <span className="font-medium text-neutral-800 dark:text-neutral-100">
+                <i className="bi bi-hash text-primary-500 mr-1"></i>
+                {tag.name}
+              </span>
+              <span className="text-sm text-neutral-500 dark:text-neutral-400">
+                {tag.count} {tag.count === 1 ? 'post' : 'posts'}
+              </span>
+            </Link>
+          ))}
+        </div>
+      </section>
+    </div>
+  )
+}
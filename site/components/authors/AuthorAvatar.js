@@ -0,0 +1,36 @@
+import Image from 'next/image'
+import { assetPath } from '@/lib/site'
+
+function initials(name) {
+  return name
+    .split(/\s+/)
+    .map((part) => part[0])
+    .slice(0, 2)
+    .join('')
+    .toUpperCase()
+}
+
+export default function AuthorAvatar({ author, size = 24, className = '' }) {
+  if (author.avatar) {
+    return (
+      <Image
+        src={assetPath(author.avatar)}
+        alt=""
+        width={size}
+        height={size}
+        className={`rounded-full object-cover ${className}`}
+        style={{ width: size, height: size }}
+      />
+    )
+  }
+
+  return (
+    <span
+      aria-hidden="true"
+      className={`inline-flex items-center justify-center rounded-full bg-primary-500 text-white font-semibold ${className}`}
+      style={{ width: size, height: size, fontSize: size * 0.4 }}
+    >
+      {initials(author.name)}
+    </span>
+  )
+}
@@ -0,0 +1,40 @@
+import Link from 'next/link'
+import AuthorAvatar from './AuthorAvatar'
+
+export default function AuthorByline({ authors = [] }) {
+  if (!authors.length) {
+    return (
+      <div className="flex items-center">
+        <i className="bi bi-person mr-2"></i>
+        <span>Anonymous</span>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-center">
+      <span className="flex -space-x-2 mr-2">
+        {authors.map((author) => (
+          <AuthorAvatar
+            key={author.id}
+            author={author}
+            className="ring-2 ring-neutral-50 dark:ring-neutral-800"
+          />
+        ))}
+      </span>
+      <span>
+        {authors.map((author, index) => (
+          <span key={author.id}>
+            {index > 0 && (index === authors.length - 1 ? ' & ' : ', ')}
+            <Link
+              href={`/authors/${author.id}`}
+              className="hover:text-primary-600 dark:hover:text-primary-400"
+            >
+              {author.name}
+            </Link>
+          </span>
+        ))}
+      </span>
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import Link from 'next/link'
+
+// Stand-in for an old URL listed under `aliases`. Browsers follow the
+// refresh straight away; search engines get the canonical link to the new
+// URL from the page metadata.
+export default function AliasRedirect({ to, title }) {
+  return (
+    <div className="max-w-2xl mx-auto py-24 px-4 text-center animate-fadeIn">
+      <meta httpEquiv="refresh" content={`0; url=${process.env.BASE_PATH || ''}${to}`} />
+      <p className="text-lg text-neutral-600 dark:text-neutral-300">
+        This page has moved to{' '}
+        <Link
+          href={to}
+          className="text-primary-600 dark:text-primary-400 hover:underline"
+        >
+          {title}
+        </Link>
+        .
+      </p>
+    </div>
+  )
+}
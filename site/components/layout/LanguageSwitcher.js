@@ -0,0 +1,33 @@
+import Link from 'next/link'
+
+// Links to the same content in other languages; `links` is [{ lang, label, path }]
+export default function LanguageSwitcher({ links = [], current, className = '' }) {
+  if (links.length < 2) return null
+
+  return (
+    <nav aria-label="Languages" className={`flex flex-wrap items-center gap-2 text-sm ${className}`}>
+      <i className="bi bi-translate text-neutral-500 dark:text-neutral-400"></i>
+      {links.map((link) =>
+        link.lang === current ? (
+          <span
+            key={link.lang}
+            aria-current="true"
+            className="px-3 py-1 rounded-full bg-primary-600 text-white"
+          >
+            {link.label}
+          </span>
+        ) : (
+          <Link
+            key={link.lang}
+            href={link.path}
+            hrefLang={link.lang}
+            lang={link.lang}
+            className="px-3 py-1 rounded-full bg-neutral-200 text-neutral-700 hover:bg-neutral-300 dark:bg-neutral-700 dark:text-neutral-200 dark:hover:bg-neutral-600 transition-colors"
+          >
+            {link.label}
+          </Link>
+        )
+      )}
+    </nav>
+  )
+}
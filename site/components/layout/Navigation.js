@@ -2,47 +2,37 @@
 import Link from 'next/link'
 import { usePathname } from 'next/navigation'
 import Logo from '../shared/Logo'
+import SearchPalette from '../search/SearchPalette'
 
-export default function Navigation() {
+function isActive(pathname, href) {
+  if (href === '/') return pathname === '/'
+  return pathname === href || pathname.startsWith(`${href}/`)
+}
+
+export default function Navigation({ links = [], siteName }) {
   const pathname = usePathname()
 
   return (
     <nav className="flex items-center justify-between w-full">
       <Link href="/" className="hover:opacity-80 transition-opacity">
-        <Logo />
+        <Logo name={siteName} />
       </Link>
-      <div className="space-x-4">
-        <Link
-          href="/"
-          className={`${
-            pathname === '/'
-              ? 'text-primary-600 dark:text-primary-400'
-              : 'text-neutral-600 dark:text-neutral-400 hover:text-primary-600 dark:hover:text-primary-400'
-          }`}
-        >
-          Home
-        </Link>
-        <Link
-          href="/about"
-          className={`${
-            pathname === '/about'
-              ? 'text-primary-600 dark:text-primary-400'
-              : 'text-neutral-600 dark:text-neutral-400 hover:text-primary-600 dark:hover:text-primary-400'
-          }`}
-        >
-          About
-        </Link>
-        <Link
-          href="/posts"
-          className={`${
-            pathname === '/posts'
-              ? 'text-primary-600 dark:text-primary-400'
-              : 'text-neutral-600 dark:text-neutral-400 hover:text-primary-600 dark:hover:text-primary-400'
-          }`}
-        >
-          Posts
-        </Link>
+      <div className="flex items-center space-x-4">
+        <SearchPalette />
+        {links.map((link) => (
+          <Link
+            key={link.href}
+            href={link.href}
+            className={`${
+              isActive(pathname, link.href)
+                ? 'text-primary-600 dark:text-primary-400'
+                : 'text-neutral-600 dark:text-neutral-400 hover:text-primary-600 dark:hover:text-primary-400'
+            }`}
+          >
+            {link.label}
+          </Link>
+        ))}
       </div>
     </nav>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,34 @@
+const styles = {
+  note: {
+    icon: 'bi-info-circle-fill',
+    className: 'border-blue-500 bg-blue-50 dark:bg-blue-950/40 text-blue-900 dark:text-blue-100',
+  },
+  tip: {
+    icon: 'bi-lightbulb-fill',
+    className: 'border-primary-500 bg-primary-200/30 dark:bg-primary-900/30 text-primary-900 dark:text-primary-200',
+  },
+  warning: {
+    icon: 'bi-exclamation-triangle-fill',
+    className: 'border-yellow-500 bg-yellow-50 dark:bg-yellow-950/40 text-yellow-900 dark:text-yellow-100',
+  },
+  danger: {
+    icon: 'bi-x-octagon-fill',
+    className: 'border-red-500 bg-red-50 dark:bg-red-950/40 text-red-900 dark:text-red-100',
+  },
+}
+
+export default function Callout({ type = 'note', title, children }) {
+  const style = styles[type] || styles.note
+
+  return (
+    <aside className={`not-prose my-8 px-6 py-4 border-l-4 rounded-r-lg ${style.className}`}>
+      {title && (
+        <p className="font-semibold mb-2">
+          <i className={`bi ${style.icon} mr-2`}></i>
+          {title}
+        </p>
+      )}
+      <div className="[&>p:last-child]:mb-0">{children}</div>
+    </aside>
+  )
+}
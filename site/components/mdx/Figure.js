@@ -0,0 +1,18 @@
+// Local images arrive as a resized <picture> in `children` (see
+// lib/plugins/rehype-images.js); anything else is shown from `src`
+export default function Figure({ src, alt = '', caption, children }) {
+  return (
+    <figure className="my-8">
+      {children ? (
+        <div className="[&_img]:rounded-lg [&_img]:shadow-lg [&_img]:mx-auto">{children}</div>
+      ) : (
+        <img src={src} alt={alt} className="rounded-lg shadow-lg mx-auto" />
+      )}
+      {caption && (
+        <figcaption className="mt-3 text-center text-sm text-neutral-500 dark:text-neutral-400">
+          {caption}
+        </figcaption>
+      )}
+    </figure>
+  )
+}
@@ -0,0 +1,46 @@
+import { compileMDX } from 'next-mdx-remote/rsc'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import { rehypePlugins } from '@/lib/pipeline'
+import { remarkMdxWhitelist } from '@/lib/mdx'
+import { rehypeSanitizeMdx, remarkRehypeOptions } from '@/lib/sanitize'
+import { remarkWikiLinks } from '@/lib/links'
+import { getLinkablePosts } from '@/lib/markdown'
+import Callout from './Callout'
+import Tabs, { Tab } from './Tabs'
+import Figure from './Figure'
+import PostCardEmbed from './PostCardEmbed'
+
+// Keys must match MDX_COMPONENTS in lib/mdx.js
+const components = {
+  Callout,
+  Tabs,
+  Tab,
+  Figure,
+  PostCard: PostCardEmbed,
+}
+
+export default async function MdxContent({ source, file, lang }) {
+  const posts = await getLinkablePosts(lang)
+  const { content } = await compileMDX({
+    source: { value: source, path: file },
+    components: {
+      ...components,
+      PostCard: (props) => <PostCardEmbed {...props} lang={lang} />,
+    },
+    options: {
+      mdxOptions: {
+        remarkPlugins: [
+          remarkGfm,
+          remarkMath,
+          remarkMdxWhitelist,
+          [remarkWikiLinks, { posts }],
+        ],
+        remarkRehypeOptions,
+        rehypePlugins: [rehypeSanitizeMdx, ...rehypePlugins],
+      },
+    },
+  })
+
+  return content
+}
@@ -0,0 +1,20 @@
+import { getLinkablePosts } from '@/lib/markdown'
+import { DEFAULT_LOCALE } from '@/lib/site'
+import PostCard from '@/components/posts/PostCard'
+
+// <PostCard slug="..." /> inside MDX: looks the post up, in the language of
+// the embedding post when it has a translation, and renders the usual card
+export default async function PostCardEmbed({ slug, compact = false, lang = DEFAULT_LOCALE }) {
+  const posts = await getLinkablePosts(lang)
+  const post = posts.find((p) => p.slug === slug)
+
+  if (!post) {
+    throw new Error(`<PostCard slug="${slug}"> does not match any post`)
+  }
+
+  return (
+    <div className="not-prose my-8">
+      <PostCard {...post} compact={compact === true || compact === 'true'} />
+    </div>
+  )
+}
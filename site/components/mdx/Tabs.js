@@ -0,0 +1,50 @@
+'use client'
+
+import { Children, isValidElement, useId, useState } from 'react'
+
+export function Tab({ children }) {
+  return <>{children}</>
+}
+
+export default function Tabs({ children }) {
+  const id = useId()
+  const tabs = Children.toArray(children).filter(isValidElement)
+  const [active, setActive] = useState(0)
+
+  return (
+    <div className="my-8 rounded-lg border border-neutral-200 dark:border-neutral-700">
+      <div role="tablist" className="flex border-b border-neutral-200 dark:border-neutral-700 overflow-x-auto">
+        {tabs.map((tab, index) => (
+          <button
+            key={index}
+            type="button"
+            role="tab"
+            id={`${id}-tab-${index}`}
+            aria-selected={index === active}
+            aria-controls={`${id}-panel-${index}`}
+            onClick={() => setActive(index)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              index === active
+                ? 'border-primary-500 text-primary-600 dark:text-primary-400'
+                : 'border-transparent text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-200'
+            }`}
+          >
+            {tab.props.label}
+          </button>
+        ))}
+      </div>
+      {tabs.map((tab, index) => (
+        <div
+          key={index}
+          role="tabpanel"
+          id={`${id}-panel-${index}`}
+          aria-labelledby={`${id}-tab-${index}`}
+          hidden={index !== active}
+          className="p-4 [&>*:last-child]:mb-0"
+        >
+          {tab}
+        </div>
+      ))}
+    </div>
+  )
+}
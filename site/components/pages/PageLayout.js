@@ -0,0 +1,77 @@
+import { formatDate } from '@/lib/site'
+
+function LastUpdated({ date }) {
+  if (!date) return null
+
+  return (
+    <div className="mt-8 text-sm text-neutral-500 dark:text-neutral-400">
+      Last updated: {formatDate(date)}
+    </div>
+  )
+}
+
+// Narrow reading column; the page's own "# Heading" acts as its title
+function DefaultLayout({ content, metadata }) {
+  return (
+    <article className="prose lg:prose-xl dark:prose-invert mx-auto">
+      <div
+        className="markdown-content text-neutral-600 dark:text-neutral-300 leading-relaxed"
+        dangerouslySetInnerHTML={{ __html: content }}
+      />
+      <LastUpdated date={metadata.lastUpdated} />
+    </article>
+  )
+}
+
+// Header band with the front matter title over a full-width content card
+function WideLayout({ content, metadata }) {
+  return (
+    <div className="space-y-12 animate-fadeIn">
+      <section className="relative bg-gradient-to-br from-neutral-50 to-neutral-100 dark:from-neutral-800 dark:to-neutral-900 py-16 -mt-8">
+        <div className="absolute inset-0 overflow-hidden">
+          <div className="absolute inset-0 bg-[linear-gradient(to_right,#8882_1px,transparent_1px),linear-gradient(to_bottom,#8882_1px,transparent_1px)] bg-[size:14px_24px] [mask-image:radial-gradient(ellipse_60%_50%_at_50%_0%,#000_70%,transparent_110%)]"></div>
+        </div>
+        <div className="relative max-w-6xl mx-auto px-4 text-center">
+          <h1 className="text-4xl md:text-5xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+            {metadata.title}
+          </h1>
+          {metadata.description && (
+            <p className="text-lg text-neutral-600 dark:text-neutral-300 max-w-2xl mx-auto">
+              {metadata.description}
+            </p>
+          )}
+        </div>
+      </section>
+      <section className="max-w-6xl mx-auto px-4">
+        <div className="bg-white dark:bg-neutral-800 p-8 md:p-12 rounded-xl shadow-sm">
+          <div
+            className="markdown-content"
+            dangerouslySetInnerHTML={{ __html: content }}
+          />
+          <LastUpdated date={metadata.lastUpdated} />
+        </div>
+      </section>
+    </div>
+  )
+}
+
+// Just the rendered markdown, for pages that bring their own structure
+function PlainLayout({ content }) {
+  return (
+    <div
+      className="markdown-content"
+      dangerouslySetInnerHTML={{ __html: content }}
+    />
+  )
+}
+
+const layouts = {
+  default: DefaultLayout,
+  wide: WideLayout,
+  plain: PlainLayout,
+}
+
+export default function PageLayout({ layout = 'default', ...props }) {
+  const Layout = layouts[layout] || DefaultLayout
+  return <Layout {...props} />
+}
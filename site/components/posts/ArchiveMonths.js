@@ -0,0 +1,27 @@
+import PostCard from '@/components/posts/PostCard'
+import { formatMonth, postPath } from '@/lib/site'
+
+// The months of one archive year, newest first, each with its posts under
+// an `as` heading (h3 inside a year's h2)
+export default function ArchiveMonths({ months, locale, as: Heading = 'h3' }) {
+  return (
+    <div className="space-y-8">
+      {months.map((entry) => (
+        <section key={entry.month} aria-labelledby={`month-${entry.month}`}>
+          <Heading
+            id={`month-${entry.month}`}
+            className="flex items-baseline justify-between text-lg font-semibold text-neutral-800 dark:text-neutral-100 mb-4 border-b border-neutral-200 dark:border-neutral-700 pb-2"
+          >
+            {formatMonth(entry.month, locale)}
+            <span className="text-sm font-normal text-neutral-500 dark:text-neutral-400">
+              {entry.count} {entry.count === 1 ? 'post' : 'posts'}
+            </span>
+          </Heading>
+          {entry.posts.map((post) => (
+            <PostCard key={postPath(post)} {...post} compact />
+          ))}
+        </section>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import Link from 'next/link'
+
+// "Linked from": posts and pages whose content links to this post
+export default function Backlinks({ links = [] }) {
+  if (!links.length) return null
+
+  return (
+    <section
+      aria-labelledby="backlinks-heading"
+      className="mt-12 p-6 rounded-xl bg-white dark:bg-neutral-800 shadow-sm"
+    >
+      <h2
+        id="backlinks-heading"
+        className="text-lg font-semibold text-neutral-800 dark:text-neutral-100 mb-4"
+      >
+        <i className="bi bi-link-45deg mr-2"></i>
+        Linked from
+      </h2>
+      <ul className="space-y-2">
+        {links.map((link) => (
+          <li key={link.path}>
+            <Link
+              href={link.path}
+              className="text-primary-600 dark:text-primary-400 hover:underline"
+            >
+              {link.title}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
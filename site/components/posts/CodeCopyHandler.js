@@ -0,0 +1,36 @@
+'use client'
+
+import { useEffect } from 'react'
+
+// Handles clicks on the copy buttons the markdown pipeline adds to code blocks
+export default function CodeCopyHandler() {
+  useEffect(() => {
+    const onClick = async (event) => {
+      const button = event.target.closest('[data-copy-code]')
+      if (!button) return
+
+      const pre = button.closest('figure')?.querySelector('pre')
+      if (!pre) return
+
+      // Lines marked as removed in a diff are not part of the code to copy
+      const code = pre.cloneNode(true)
+      code.querySelectorAll('.diff.remove').forEach((line) => line.remove())
+
+      try {
+        await navigator.clipboard.writeText(code.textContent)
+        button.textContent = 'Copied!'
+      } catch (error) {
+        console.error('Error copying code:', error)
+        button.textContent = 'Failed'
+      }
+      setTimeout(() => {
+        button.textContent = 'Copy'
+      }, 2000)
+    }
+
+    document.addEventListener('click', onClick)
+    return () => document.removeEventListener('click', onClick)
+  }, [])
+
+  return null
+}
@@ -1,12 +1,22 @@
 import Link from 'next/link'
+import TagList from '@/components/tags/TagList'
+import { postPath } from '@/lib/site'
 
-export default function PostCard({ title, date, slug, compact = false }) {
+export default function PostCard({
+  title,
+  date,
+  isoDate,
+  slug,
+  lang,
+  tags = [],
+  compact = false,
+}) {
   if (compact) {
     return (
       <div className="mb-4">
         <h3>
           <Link
-            href={`/posts/${slug}`}
+            href={postPath({ slug, lang, isoDate })}
             className="no-underline text-neutral-700 dark:text-neutral-200 hover:text-primary-600 dark:hover:text-primary-400"
           >
             {title}
@@ -23,7 +33,7 @@ export default function PostCard({ title, date, slug, compact = false }) {
     <article className="bg-white dark:bg-neutral-800 p-6 rounded-lg shadow-sm animate-fadeIn hover:shadow-md transition-shadow">
       <h2 className="text-2xl font-bold text-neutral-800 dark:text-neutral-100">
         <Link
-          href={`/posts/${slug}`}
+          href={postPath({ slug, lang, isoDate })}
           className="hover:text-primary-600 dark:hover:text-primary-400"
         >
           {title}
@@ -32,6 +42,7 @@ export default function PostCard({ title, date, slug, compact = false }) {
       <time className="text-neutral-500 dark:text-neutral-400">
         {date}
       </time>
+      <TagList tags={tags} className="mt-4" />
     </article>
   )
 }
\ No newline at end of file
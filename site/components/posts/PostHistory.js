@@ -0,0 +1,140 @@
+import Link from 'next/link'
+import { formatDate, postPath } from '@/lib/site'
+
+const LINE_STYLES = {
+  add: 'bg-green-50 text-green-900 dark:bg-green-950 dark:text-green-100',
+  remove: 'bg-red-50 text-red-900 dark:bg-red-950 dark:text-red-100',
+  context: 'text-neutral-600 dark:text-neutral-300',
+}
+
+const LINE_MARKERS = { add: '+', remove: '-', context: ' ' }
+
+function countLines(hunks, type) {
+  return hunks.reduce(
+    (total, hunk) => total + hunk.lines.filter((line) => line.type === type).length,
+    0
+  )
+}
+
+// One revision's changes, with old and new line numbers like `git diff`
+function Diff({ hunks }) {
+  if (!hunks.length) {
+    return <p className="text-sm text-neutral-500 dark:text-neutral-400">No changes to the text.</p>
+  }
+
+  return (
+    <div className="overflow-x-auto rounded-lg border border-neutral-200 dark:border-neutral-700">
+      <table className="w-full text-sm font-mono border-collapse">
+        {hunks.map((hunk, index) => (
+          <tbody key={index}>
+            <tr className="bg-neutral-100 dark:bg-neutral-800 text-neutral-500 dark:text-neutral-400">
+              <td colSpan={3} className="px-3 py-1">
+                {hunk.header}
+              </td>
+            </tr>
+            {hunk.lines.map((line, lineIndex) => (
+              <tr key={lineIndex} className={LINE_STYLES[line.type]}>
+                <td className="px-2 text-right select-none opacity-60 w-12">{line.oldLine}</td>
+                <td className="px-2 text-right select-none opacity-60 w-12">{line.newLine}</td>
+                <td className="px-3 whitespace-pre">
+                  <span className="select-none">{LINE_MARKERS[line.type]} </span>
+                  {line.text}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+    </div>
+  )
+}
+
+// Every commit that touched a post, newest first, each with its diff
+export default function PostHistory({ post, history, revisions }) {
+  const href = postPath(post)
+  const { lang } = post
+
+  return (
+    <div lang={lang} className="max-w-4xl mx-auto px-4 animate-fadeIn">
+      <header className="mb-12">
+        <p className="text-sm text-neutral-500 dark:text-neutral-400 mb-2">Revision history</p>
+        <h1 className="text-3xl md:text-4xl font-bold text-neutral-800 dark:text-neutral-100 mb-4">
+          <Link href={href} className="hover:text-primary-600 dark:hover:text-primary-400">
+            {post.title}
+          </Link>
+        </h1>
+        <dl className="flex flex-wrap gap-x-8 gap-y-2 text-sm text-neutral-600 dark:text-neutral-300">
+          <div>
+            <dt className="inline font-medium">Created </dt>
+            <dd className="inline">{formatDate(history.created, lang)}</dd>
+          </div>
+          <div>
+            <dt className="inline font-medium">Last updated </dt>
+            <dd className="inline">{formatDate(history.updated, lang)}</dd>
+          </div>
+          {history.contributors.length > 0 && (
+            <div>
+              <dt className="inline font-medium">Contributors </dt>
+              <dd className="inline">
+                {history.contributors
+                  .map((contributor) =>
+                    contributor.commits
+                      ? `${contributor.name} (${contributor.commits})`
+                      : contributor.name
+                  )
+                  .join(', ')}
+              </dd>
+            </div>
+          )}
+        </dl>
+      </header>
+
+      {revisions.length === 0 ? (
+        <p className="p-6 rounded-xl bg-white dark:bg-neutral-800 shadow-sm text-neutral-600 dark:text-neutral-300">
+          This copy of the site was built without its git history, so only the dates in the
+          post&apos;s front matter are known.
+        </p>
+      ) : (
+        <ol className="space-y-6">
+          {revisions.map((revision) => (
+            <li
+              key={revision.hash}
+              className="p-6 rounded-xl bg-white dark:bg-neutral-800 shadow-sm"
+            >
+              <details>
+                <summary className="cursor-pointer">
+                  <span className="font-medium text-neutral-800 dark:text-neutral-100">
+                    {revision.subject}
+                  </span>
+                  <span className="block sm:inline sm:ml-2 text-sm text-neutral-500 dark:text-neutral-400">
+                    {revision.author} · <time dateTime={revision.date}>{formatDate(revision.date, lang)}</time> ·{' '}
+                    <code>{revision.shortHash}</code> ·{' '}
+                    <span className="text-green-700 dark:text-green-400">
+                      +{countLines(revision.hunks, 'add')}
+                    </span>{' '}
+                    <span className="text-red-700 dark:text-red-400">
+                      -{countLines(revision.hunks, 'remove')}
+                    </span>
+                  </span>
+                </summary>
+                <div className="mt-4">
+                  <Diff hunks={revision.hunks} />
+                </div>
+              </details>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <footer className="mt-12 mb-16">
+        <Link
+          href={href}
+          className="inline-flex items-center px-4 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 text-neutral-500 dark:text-neutral-400 transition-colors"
+        >
+          <i className="bi bi-arrow-left mr-2"></i>
+          Back to the post
+        </Link>
+      </footer>
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import Link from 'next/link'
+import { postsPagePath } from '@/lib/site'
+
+const linkClass =
+  'inline-flex items-center px-4 py-2 rounded-lg bg-white dark:bg-neutral-800 shadow-sm hover:text-primary-600 dark:hover:text-primary-400 transition-colors'
+
+// Newer/older links and page numbers under the posts listing
+export default function PostListPagination({ page, pageCount, locale }) {
+  if (pageCount < 2) return null
+
+  return (
+    <nav
+      aria-label="Pages of posts"
+      className="flex flex-wrap items-center justify-between gap-4 text-neutral-600 dark:text-neutral-300"
+    >
+      {page > 1 ? (
+        <Link href={postsPagePath(page - 1, locale)} rel="prev" className={linkClass}>
+          <i className="bi bi-arrow-left mr-2"></i>
+          Newer posts
+        </Link>
+      ) : (
+        <span />
+      )}
+
+      <ol className="flex flex-wrap gap-2">
+        {Array.from({ length: pageCount }, (_, index) => index + 1).map((number) => (
+          <li key={number}>
+            {number === page ? (
+              <span
+                aria-current="page"
+                className="inline-block px-3 py-1 rounded-md bg-primary-600 text-white"
+              >
+                {number}
+              </span>
+            ) : (
+              <Link
+                href={postsPagePath(number, locale)}
+                className="inline-block px-3 py-1 rounded-md hover:bg-neutral-100 dark:hover:bg-neutral-800"
+              >
+                {number}
+              </Link>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {page < pageCount ? (
+        <Link href={postsPagePath(page + 1, locale)} rel="next" className={linkClass}>
+          Older posts
+          <i className="bi bi-arrow-right ml-2"></i>
+        </Link>
+      ) : (
+        <span />
+      )}
+    </nav>
+  )
+}
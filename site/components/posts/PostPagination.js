@@ -0,0 +1,44 @@
+import Link from 'next/link'
+import { postPath } from '@/lib/site'
+
+export default function PostPagination({ previous, next }) {
+  if (!previous && !next) return null
+
+  return (
+    <nav
+      aria-label="More posts"
+      className="grid sm:grid-cols-2 gap-4 mt-12"
+    >
+      {previous ? (
+        <Link
+          href={postPath(previous)}
+          className="p-4 rounded-lg bg-white dark:bg-neutral-800 shadow-sm hover:shadow-md transition-shadow"
+        >
+          <span className="text-sm text-neutral-500 dark:text-neutral-400">
+            <i className="bi bi-arrow-left mr-2"></i>
+            Previous post
+          </span>
+          <span className="block font-medium text-neutral-800 dark:text-neutral-100 mt-1">
+            {previous.title}
+          </span>
+        </Link>
+      ) : (
+        <span className="hidden sm:block" />
+      )}
+      {next && (
+        <Link
+          href={postPath(next)}
+          className="p-4 rounded-lg bg-white dark:bg-neutral-800 shadow-sm hover:shadow-md transition-shadow text-right"
+        >
+          <span className="text-sm text-neutral-500 dark:text-neutral-400">
+            Next post
+            <i className="bi bi-arrow-right ml-2"></i>
+          </span>
+          <span className="block font-medium text-neutral-800 dark:text-neutral-100 mt-1">
+            {next.title}
+          </span>
+        </Link>
+      )}
+    </nav>
+  )
+}
@@ -0,0 +1,24 @@
+import PostCard from '@/components/posts/PostCard'
+import { postPath } from '@/lib/site'
+
+// "Related reading": posts picked at build time by getRelatedPosts
+export default function RelatedPosts({ posts = [] }) {
+  if (!posts.length) return null
+
+  return (
+    <section aria-labelledby="related-heading" className="mt-12">
+      <h2
+        id="related-heading"
+        className="text-lg font-semibold text-neutral-800 dark:text-neutral-100 mb-4"
+      >
+        <i className="bi bi-journals mr-2"></i>
+        Related reading
+      </h2>
+      <div className="grid gap-6 md:grid-cols-2">
+        {posts.map((post) => (
+          <PostCard key={postPath(post)} {...post} />
+        ))}
+      </div>
+    </section>
+  )
+}
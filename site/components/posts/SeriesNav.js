@@ -0,0 +1,71 @@
+import Link from 'next/link'
+import { postPath } from '@/lib/site'
+
+export default function SeriesNav({ series, currentSlug }) {
+  if (!series) return null
+
+  const index = series.posts.findIndex((post) => post.slug === currentSlug)
+  const previous = series.posts[index - 1]
+  const next = series.posts[index + 1]
+
+  return (
+    <aside className="mb-12 p-6 rounded-xl bg-white dark:bg-neutral-800 shadow-sm border-l-4 border-primary-500 dark:border-primary-400">
+      <p className="text-sm text-neutral-500 dark:text-neutral-400">
+        Part {index + 1} of {series.posts.length} in the series
+      </p>
+      <h2 className="text-xl font-semibold text-neutral-800 dark:text-neutral-100 mb-4">
+        <Link
+          href={`/series/${series.slug}`}
+          className="hover:text-primary-600 dark:hover:text-primary-400"
+        >
+          {series.name}
+        </Link>
+      </h2>
+
+      <ol className="space-y-2 mb-6">
+        {series.posts.map((post, i) => (
+          <li key={post.slug} className="flex items-baseline gap-3">
+            <span className="text-sm font-semibold text-primary-600 dark:text-primary-400">
+              {i + 1}.
+            </span>
+            {post.slug === currentSlug ? (
+              <span className="font-medium text-neutral-800 dark:text-neutral-100" aria-current="page">
+                {post.title}
+              </span>
+            ) : (
+              <Link
+                href={postPath(post)}
+                className="text-neutral-600 dark:text-neutral-300 hover:text-primary-600 dark:hover:text-primary-400"
+              >
+                {post.title}
+              </Link>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex justify-between gap-4 text-sm">
+        {previous ? (
+          <Link
+            href={postPath(previous)}
+            className="inline-flex items-center text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            <i className="bi bi-arrow-left mr-2"></i>
+            Previous part
+          </Link>
+        ) : (
+          <span />
+        )}
+        {next && (
+          <Link
+            href={postPath(next)}
+            className="inline-flex items-center text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            Next part
+            <i className="bi bi-arrow-right ml-2"></i>
+          </Link>
+        )}
+      </div>
+    </aside>
+  )
+}
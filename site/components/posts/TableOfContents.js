@@ -0,0 +1,88 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+
+function flatten(entries) {
+  return entries.flatMap((entry) => [entry, ...flatten(entry.children)])
+}
+
+function TocList({ entries, activeId, nested = false }) {
+  return (
+    <ul className={nested ? 'ml-3 mt-1 space-y-1' : 'space-y-1'}>
+      {entries.map((entry) => (
+        <li key={entry.id}>
+          <a
+            href={`#${entry.id}`}
+            aria-current={entry.id === activeId ? 'location' : undefined}
+            className={`block py-0.5 border-l-2 pl-3 transition-colors ${
+              entry.id === activeId
+                ? 'border-primary-500 text-primary-600 dark:text-primary-400 font-medium'
+                : 'border-transparent text-neutral-600 dark:text-neutral-400 hover:text-primary-600 dark:hover:text-primary-400'
+            }`}
+          >
+            {entry.text}
+          </a>
+          {entry.children.length > 0 && (
+            <TocList entries={entry.children} activeId={activeId} nested />
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function TableOfContents({ toc = [], variant = 'sidebar' }) {
+  const [activeId, setActiveId] = useState(null)
+
+  // Scroll-spy: the active section is the last heading above the upper
+  // third of the viewport
+  useEffect(() => {
+    const headings = flatten(toc)
+      .map((entry) => document.getElementById(entry.id))
+      .filter(Boolean)
+    if (!headings.length) return
+
+    const visible = new Set()
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) visible.add(entry.target.id)
+          else visible.delete(entry.target.id)
+        })
+        const first = headings.find((heading) => visible.has(heading.id))
+        if (first) setActiveId(first.id)
+      },
+      { rootMargin: '-80px 0px -66% 0px' }
+    )
+
+    headings.forEach((heading) => observer.observe(heading))
+    return () => observer.disconnect()
+  }, [toc])
+
+  if (!toc.length) return null
+
+  if (variant === 'collapsible') {
+    return (
+      <details className="xl:hidden mb-8 p-4 rounded-xl bg-white dark:bg-neutral-800 shadow-sm text-sm">
+        <summary className="cursor-pointer font-semibold text-neutral-800 dark:text-neutral-100">
+          On this page
+        </summary>
+        <nav aria-label="Table of contents" className="mt-4">
+          <TocList entries={toc} activeId={activeId} />
+        </nav>
+      </details>
+    )
+  }
+
+  return (
+    <nav
+      aria-label="Table of contents"
+      className="sticky top-24 max-h-[calc(100vh-8rem)] overflow-y-auto text-sm"
+    >
+      <p className="font-semibold text-neutral-800 dark:text-neutral-100 mb-3">
+        On this page
+      </p>
+      <TocList entries={toc} activeId={activeId} />
+    </nav>
+  )
+}
@@ -0,0 +1,265 @@
+'use client'
+
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { usePathname, useRouter } from 'next/navigation'
+
+const FIELD_WEIGHTS = { title: 10, tags: 6, excerpt: 3, body: 1 }
+const MAX_RESULTS = 8
+
+function tokenize(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean)
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function countMatches(text, term) {
+  let count = 0
+  let index = text.indexOf(term)
+  while (index !== -1) {
+    count += 1
+    index = text.indexOf(term, index + term.length)
+  }
+  return count
+}
+
+// Every term has to appear somewhere; hits in the title and tags count for
+// more, and posts in the reader's language come before the others
+function rank(documents, terms, lang) {
+  return documents
+    .map((doc) => {
+      const fields = {
+        title: doc.title.toLowerCase(),
+        tags: doc.tags.join(' ').toLowerCase(),
+        excerpt: doc.excerpt.toLowerCase(),
+        body: doc.body.toLowerCase(),
+      }
+      let score = 0
+
+      for (const term of terms) {
+        let termScore = 0
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+          termScore += Math.min(countMatches(fields[field], term), 5) * weight
+        }
+        if (!termScore) return null
+        score += termScore
+      }
+
+      return { doc, score }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.doc.lang === lang) - (a.doc.lang === lang) || b.score - a.score)
+    .slice(0, MAX_RESULTS)
+}
+
+// Language of the current page: the /vi/... prefix, or the default language
+function pageLanguage(pathname, locales) {
+  const prefix = pathname.split('/')[1]
+  return locales.slice(1).includes(prefix) ? prefix : locales[0]
+}
+
+// Pick the part of the body around the first hit so the match is visible
+function snippet(body, terms, radius = 80) {
+  const lower = body.toLowerCase()
+  const hit = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index !== -1)
+    .sort((a, b) => a - b)[0]
+
+  if (hit === undefined) return body.slice(0, radius * 2)
+
+  const start = Math.max(0, hit - radius)
+  const end = Math.min(body.length, hit + radius)
+  return `${start > 0 ? '…' : ''}${body.slice(start, end)}${end < body.length ? '…' : ''}`
+}
+
+function Highlight({ text, terms }) {
+  if (!terms.length) return text
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-primary-200 dark:bg-primary-800 text-current rounded-sm">
+        {part}
+      </mark>
+    ) : (
+      <Fragment key={index}>{part}</Fragment>
+    )
+  )
+}
+
+export default function SearchPalette() {
+  const router = useRouter()
+  const pathname = usePathname()
+  const inputRef = useRef(null)
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const [documents, setDocuments] = useState(null)
+  const [locales, setLocales] = useState([])
+  const [error, setError] = useState(null)
+  const [active, setActive] = useState(0)
+
+  const close = useCallback(() => {
+    setOpen(false)
+    setQuery('')
+    setActive(0)
+  }, [])
+
+  // Ctrl+K / ⌘+K toggles the palette from anywhere on the page
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault()
+        setOpen((value) => !value)
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  // Load the index the first time the palette opens
+  useEffect(() => {
+    if (!open) return
+    inputRef.current?.focus()
+    if (documents) return
+
+    fetch(`${process.env.BASE_PATH}/search-index.json`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return response.json()
+      })
+      .then((index) => {
+        setLocales(index.locales)
+        setDocuments(index.documents)
+      })
+      .catch((err) => {
+        console.error('Error loading search index:', err)
+        setError('Search is unavailable right now')
+      })
+  }, [open, documents])
+
+  const terms = useMemo(() => tokenize(query), [query])
+  const lang = useMemo(() => pageLanguage(pathname, locales), [pathname, locales])
+  const results = useMemo(
+    () => (documents && terms.length ? rank(documents, terms, lang) : []),
+    [documents, terms, lang]
+  )
+
+  const go = (path) => {
+    close()
+    router.push(path)
+  }
+
+  const onInputKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault()
+      setActive((index) => Math.min(index + 1, results.length - 1))
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault()
+      setActive((index) => Math.max(index - 1, 0))
+    } else if (event.key === 'Enter' && results[active]) {
+      event.preventDefault()
+      go(results[active].doc.path)
+    } else if (event.key === 'Escape') {
+      close()
+    }
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm text-neutral-500 dark:text-neutral-400 bg-neutral-100 dark:bg-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-600 transition-colors"
+        aria-label="Search posts"
+      >
+        <i className="bi bi-search"></i>
+        <span className="hidden sm:inline">Search</span>
+        <kbd className="hidden sm:inline text-xs font-sans text-neutral-400">⌘K</kbd>
+      </button>
+
+      {/* Rendered into body: the sticky nav's backdrop blur would otherwise trap the fixed overlay */}
+      {open && createPortal(
+        <div
+          className="fixed inset-0 z-50 flex items-start justify-center pt-24 px-4 bg-neutral-900/50 backdrop-blur-sm"
+          onClick={close}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-label="Search posts"
+            className="w-full max-w-2xl rounded-xl bg-white dark:bg-neutral-800 shadow-2xl overflow-hidden animate-fadeIn"
+            onClick={(event) => event.stopPropagation()}
+          >
+            <div className="flex items-center px-4 border-b border-neutral-200 dark:border-neutral-700">
+              <i className="bi bi-search text-neutral-400"></i>
+              <input
+                ref={inputRef}
+                type="search"
+                value={query}
+                onChange={(event) => {
+                  setQuery(event.target.value)
+                  setActive(0)
+                }}
+                onKeyDown={onInputKeyDown}
+                placeholder="Search posts…"
+                className="w-full px-3 py-4 bg-transparent border-0 focus:outline-none focus:ring-0 text-neutral-800 dark:text-neutral-100"
+                role="combobox"
+                aria-expanded={results.length > 0}
+                aria-controls="search-results"
+                aria-activedescendant={results[active] ? `search-result-${active}` : undefined}
+              />
+              <kbd className="text-xs text-neutral-400">Esc</kbd>
+            </div>
+
+            <ul id="search-results" role="listbox" className="max-h-96 overflow-y-auto">
+              {error && (
+                <li className="px-4 py-6 text-center text-neutral-500 dark:text-neutral-400">{error}</li>
+              )}
+              {!error && !documents && (
+                <li className="px-4 py-6 text-center text-neutral-500 dark:text-neutral-400">Loading…</li>
+              )}
+              {documents && terms.length > 0 && results.length === 0 && (
+                <li className="px-4 py-6 text-center text-neutral-500 dark:text-neutral-400">
+                  No posts match "{query}"
+                </li>
+              )}
+              {results.map(({ doc }, index) => (
+                <li
+                  key={doc.path}
+                  id={`search-result-${index}`}
+                  role="option"
+                  aria-selected={index === active}
+                  onMouseEnter={() => setActive(index)}
+                  onClick={() => go(doc.path)}
+                  className={`px-4 py-3 cursor-pointer border-b last:border-b-0 border-neutral-100 dark:border-neutral-700 ${
+                    index === active ? 'bg-neutral-100 dark:bg-neutral-700' : ''
+                  }`}
+                >
+                  <div lang={doc.lang} className="font-medium text-neutral-800 dark:text-neutral-100">
+                    <Highlight text={doc.title} terms={terms} />
+                    {doc.lang !== lang && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-normal uppercase bg-neutral-100 dark:bg-neutral-700 text-neutral-500 dark:text-neutral-400">
+                        {doc.lang}
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-xs text-neutral-500 dark:text-neutral-400 mt-0.5">
+                    {doc.date}
+                    {doc.tags.length > 0 && ` · ${doc.tags.join(', ')}`}
+                  </div>
+                  <p lang={doc.lang} className="text-sm text-neutral-600 dark:text-neutral-300 mt-1 line-clamp-2">
+                    <Highlight text={snippet(doc.body, terms)} terms={terms} />
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>,
+        document.body
+      )}
+    </>
+  )
+}
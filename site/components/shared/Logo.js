@@ -1,4 +1,4 @@
-export default function Logo({ className = "" }) {
+export default function Logo({ name = "MarkVault", className = "" }) {
     return (
       <div className={`flex items-center space-x-2 ${className}`}>
         <div className="relative w-8 h-8">
@@ -24,7 +24,7 @@ export default function Logo({ className = "" }) {
           </div>
         </div>
         <span className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-neutral-800 to-neutral-600 dark:from-neutral-100 dark:to-neutral-300">
-          MarkVault
+          {name}
         </span>
       </div>
     )
@@ -0,0 +1,21 @@
+import Link from 'next/link'
+
+export default function TagList({ tags = [], className = '' }) {
+  if (!tags.length) return null
+
+  return (
+    <ul className={`flex flex-wrap gap-2 ${className}`}>
+      {tags.map((tag) => (
+        <li key={tag.slug}>
+          <Link
+            href={`/tags/${tag.slug}`}
+            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-neutral-100 dark:bg-neutral-700 text-neutral-600 dark:text-neutral-300 hover:bg-primary-200 hover:text-primary-700 dark:hover:bg-primary-900 dark:hover:text-primary-300 transition-colors"
+          >
+            <i className="bi bi-hash"></i>
+            {tag.name}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,223 @@
+import { format } from "date-fns";
+import * as dateLocales from "date-fns/locale";
+import rawConfig from "../markvault.config.js";
+
+/*
+ * markvault.config.js is validated once, when this module is first imported,
+ * so a typo fails the build with every problem listed instead of rendering a
+ * half-branded site. Optional fields are filled in with their defaults.
+ */
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid markvault.config.js:\n${problems.map((problem) => `  ${problem}`).join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isValidDateFormat(value) {
+  try {
+    format(new Date(2024, 0, 31), value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const checks = {
+  string: (value) => isNonEmptyString(value) || "must be a non-empty string",
+  number: (value) => Number.isFinite(value) || "must be a number",
+  count: (value, rule) =>
+    (Number.isInteger(value) && value >= (rule.min ?? 0)) ||
+    `must be a whole number, ${rule.min ?? 0} or more`,
+  url: (value) => isHttpUrl(value) || "must be an absolute http(s) URL",
+  // Site paths, absolute URLs and mailto: links
+  href: (value) =>
+    (isNonEmptyString(value) &&
+      ((value.startsWith("/") && !value.startsWith("//")) ||
+        isHttpUrl(value) ||
+        value.startsWith("mailto:"))) ||
+    "must be a site path (/about), an http(s) URL or a mailto: link",
+  image: (value) =>
+    (isNonEmptyString(value) && (value.startsWith("/") || isHttpUrl(value))) ||
+    "must be a site path or an http(s) URL",
+  dateFormat: (value) =>
+    (isNonEmptyString(value) && isValidDateFormat(value)) ||
+    "must be a valid date-fns format such as MMMM d, yyyy",
+  localeCode: (value) =>
+    (typeof value === "string" && /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(value)) ||
+    "must be a language code such as en or pt-BR",
+  dateLocale: (value) =>
+    (typeof value === "string" && value in dateLocales) ||
+    "must name a date-fns locale such as enUS, vi or ptBR",
+  enum: (value, rule) =>
+    rule.values.includes(value) || `must be one of: ${rule.values.join(", ")}`,
+  // /posts/ followed by :year, :month, :day, :slug and fixed segments
+  permalink: (value) =>
+    (typeof value === "string" &&
+      /^\/posts(\/(:year|:month|:day|:slug|[a-z0-9-]+))+$/.test(value) &&
+      value.split("/").includes(":slug")) ||
+    "must start with /posts/ and contain :slug, e.g. /posts/:year/:slug",
+};
+
+const link = {
+  label: { type: "string", required: true },
+  href: { type: "href", required: true },
+  icon: { type: "string" },
+};
+
+const configSchema = {
+  name: { type: "string", required: true },
+  description: { type: "string", required: true },
+  url: { type: "url", required: true },
+  dateFormat: { type: "dateFormat", default: "MMMM d, yyyy" },
+  defaultImage: { type: "image" },
+  permalink: { type: "permalink", default: "/posts/:slug" },
+  brokenLinks: { type: "enum", values: ["warn", "error"], default: "warn" },
+  postsPerPage: { type: "count", min: 1, default: 10 },
+  relatedPosts: { type: "count", default: 3 },
+  locales: {
+    type: "list",
+    default: [{ code: "en", label: "English", dateLocale: "enUS" }],
+    of: {
+      code: { type: "localeCode", required: true },
+      label: { type: "string", required: true },
+      dateLocale: { type: "dateLocale" },
+      dateFormat: { type: "dateFormat" },
+    },
+  },
+  nav: {
+    type: "list",
+    default: [],
+    of: { ...link, order: { type: "number", default: 100 } },
+  },
+  hero: {
+    type: "object",
+    required: true,
+    fields: {
+      title: { type: "string", required: true },
+      subtitle: { type: "string" },
+      actions: {
+        type: "list",
+        default: [],
+        of: {
+          ...link,
+          style: { type: "enum", values: ["primary", "secondary"], default: "primary" },
+        },
+      },
+    },
+  },
+  features: {
+    type: "object",
+    fields: {
+      title: { type: "string", required: true },
+      items: {
+        type: "list",
+        default: [],
+        of: {
+          title: { type: "string", required: true },
+          description: { type: "string", required: true },
+          icon: { type: "string" },
+        },
+      },
+    },
+  },
+  footer: { type: "string" },
+  social: { type: "list", default: [], of: link },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Check `value` against `rule`, returning it with defaults applied
+function validate(value, rule, path, problems) {
+  if (value === undefined || value === null) {
+    if (rule.required) problems.push(`${path} is required`);
+    return rule.default;
+  }
+
+  if (rule.type === "object") {
+    if (!isPlainObject(value)) {
+      problems.push(`${path} must be an object`);
+      return rule.default;
+    }
+    return validateFields(value, rule.fields, `${path}.`, problems);
+  }
+
+  if (rule.type === "list") {
+    if (!Array.isArray(value)) {
+      problems.push(`${path} must be a list`);
+      return rule.default;
+    }
+    return value.map((item, index) => {
+      if (!isPlainObject(item)) {
+        problems.push(`${path}[${index}] must be an object`);
+        return item;
+      }
+      return validateFields(item, rule.of, `${path}[${index}].`, problems);
+    });
+  }
+
+  const result = checks[rule.type](value, rule);
+  if (result !== true) problems.push(`${path} ${result}`);
+  return value;
+}
+
+function validateFields(object, fields, prefix, problems) {
+  Object.keys(object)
+    .filter((key) => !(key in fields))
+    .forEach((key) => problems.push(`${prefix}${key} is not a known setting`));
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, rule]) => [
+      key,
+      validate(object[key], rule, `${prefix}${key}`, problems),
+    ])
+  );
+}
+
+function loadConfig(config) {
+  const problems = [];
+  const result = validateFields(config || {}, configSchema, "", problems);
+
+  if (!result.locales?.length) problems.push("locales needs at least one language");
+  const codes = (result.locales || []).map((locale) => locale.code);
+  codes
+    .filter((code, index) => codes.indexOf(code) !== index)
+    .forEach((code) => problems.push(`locales lists "${code}" more than once`));
+  (result.locales || [])
+    .filter((locale) => !locale.dateLocale && !(locale.code in dateLocales))
+    .forEach((locale) =>
+      problems.push(`locales "${locale.code}" needs a dateLocale (no date-fns locale has that name)`)
+    );
+
+  if (problems.length) throw new ConfigError(problems);
+
+  return {
+    ...result,
+    locales: result.locales.map((locale) => ({
+      ...locale,
+      dateLocale: locale.dateLocale || locale.code,
+      dateFormat: locale.dateFormat || result.dateFormat,
+    })),
+  };
+}
+
+export const siteConfig = loadConfig(rawConfig);
@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import { DEFAULT_LOCALE, LOCALES } from "./site.js";
+
+/*
+ * Which files under content/ are posts and pages, and the slug and language
+ * a post file stands for. The Next build (markdown.js) and content/index.json
+ * (content-index.js) both read them from here, so a post has the same URL on
+ * the site and in the single-file preview.
+ */
+
+// Posts can be plain markdown or MDX
+export const POST_EXTENSION = /\.mdx?$/;
+
+// A post folder keeps its images next to index.md (or index.vi.md, ...)
+const POST_INDEX = /^index(\.[^.]+)?\.mdx?$/;
+
+const localeCodes = LOCALES.map((locale) => locale.code);
+
+/**
+ * Slug and language of a post file under `postsDirectory`. `why.vi.md` is
+ * the Vietnamese `why`; a `lang` field overrides the suffix, and everything
+ * else is in the default language. A post folder is named like a file:
+ * `why/index.vi.md` is `why.vi.md`. A `slug` field replaces the name taken
+ * from the file. Translations share a `translationKey`, the file name
+ * without language and extension; `translationOf` is resolved by
+ * linkTranslations in markdown.js.
+ */
+export function postIdentity(filePath, data, postsDirectory) {
+  const folder = path.dirname(filePath);
+  const filename =
+    path.resolve(folder) === path.resolve(postsDirectory)
+      ? path.basename(filePath)
+      : path.basename(filePath).replace(/^index/, path.basename(folder));
+  const base = filename.replace(POST_EXTENSION, "");
+  const suffix = /^(.+)\.([^.]+)$/.exec(base);
+  const localized = suffix && localeCodes.includes(suffix[2]);
+  const name = localized ? suffix[1] : base;
+
+  return {
+    slug: data.slug || name,
+    lang: data.lang || (localized ? suffix[2] : DEFAULT_LOCALE),
+    translationKey: name,
+  };
+}
+
+// content/posts/why.md files and content/posts/why/index.md folders
+export function listPostFiles(postsDirectory) {
+  if (!fs.existsSync(postsDirectory)) return [];
+  return fs.readdirSync(postsDirectory, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(postsDirectory, entry.name);
+    if (!entry.isDirectory()) return POST_EXTENSION.test(entry.name) ? [fullPath] : [];
+    return fs
+      .readdirSync(fullPath)
+      .filter((filename) => POST_INDEX.test(filename))
+      .map((filename) => path.join(fullPath, filename));
+  });
+}
+
+// Every .md file under content/pages, nested folders included
+export function walkMarkdownFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walkMarkdownFiles(fullPath);
+    return entry.name.endsWith(".md") ? [fullPath] : [];
+  });
+}
@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import matter from "gray-matter";
+import { listPostFiles, postIdentity, walkMarkdownFiles } from "./content-files.js";
+import { DEFAULT_LOCALE, toIsoDate } from "./site.js";
+
+/*
+ * content/index.json lists the posts and pages for the single-file React
+ * site (index.html), which cannot list a directory on static hosts. Front
+ * matter is parsed here with gray-matter, as in the Next build, and stored
+ * as JSON, so both sites read the same values. The file is committed with
+ * the content; `pnpm content:index` rewrites it and `pnpm content:check`
+ * reports when it is out of date.
+ */
+
+export const CONTENT_INDEX_FILE = "index.json";
+
+// Forward slashes on every platform, so the file does not depend on who built it
+function relativePath(from, filePath) {
+  return path.relative(from, filePath).split(path.sep).join("/");
+}
+
+function tagNames(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  return [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+}
+
+// Dates become ISO strings, as JSON.stringify writes them
+function toJson(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+// Display names of content/authors/<id>.md, by id
+function loadAuthorNames(authorsDirectory) {
+  if (!fs.existsSync(authorsDirectory)) return new Map();
+
+  return new Map(
+    fs
+      .readdirSync(authorsDirectory)
+      .filter((filename) => filename.endsWith(".md"))
+      .map((filename) => {
+        const { data } = matter(fs.readFileSync(path.join(authorsDirectory, filename), "utf8"));
+        const id = filename.replace(/\.md$/, "");
+        return [id, data.name || id];
+      })
+  );
+}
+
+// `author` and `authors` combined as on the Next site, with their names;
+// an unknown id (which `pnpm content:check` reports) keeps the id as name
+function postAuthors(data, names) {
+  const ids = [data.author, data.authors].flat().filter(Boolean);
+  return [...new Set(ids)].map((id) => ({ id, name: names.get(id) || id }));
+}
+
+function listPosts(postsDirectory, authorNames) {
+  if (!fs.existsSync(postsDirectory)) return [];
+
+  return listPostFiles(postsDirectory)
+    .map((filePath) => {
+      const { data } = matter(fs.readFileSync(filePath, "utf8"));
+      const { slug, lang } = postIdentity(filePath, data, postsDirectory);
+      return { file: relativePath(postsDirectory, filePath), slug, lang, data };
+    })
+    // Drafts and unlisted posts stay out of listings, as on the Next site;
+    // scheduled posts are listed and hidden by index.html until their date
+    .filter(({ data }) => data.draft !== true && data.unlisted !== true)
+    .map(({ file, slug, lang, data }) => ({
+      file,
+      slug,
+      lang,
+      title: data.title || null,
+      date: toIsoDate(data.date),
+      tags: tagNames(data.tags),
+      authors: postAuthors(data, authorNames),
+      data: toJson(data),
+    }))
+    .sort((a, b) => {
+      if (!a.date) return 1;
+      if (!b.date) return -1;
+      return b.date.localeCompare(a.date) || a.file.localeCompare(b.file);
+    });
+}
+
+function listPages(pagesDirectory) {
+  if (!fs.existsSync(pagesDirectory)) return [];
+
+  return walkMarkdownFiles(pagesDirectory)
+    .map((filePath) => relativePath(pagesDirectory, filePath))
+    .sort()
+    .map((file) => {
+      const { data } = matter(fs.readFileSync(path.join(pagesDirectory, file), "utf8"));
+      return {
+        file,
+        slug: file.replace(/\.md$/, "").replace(/(^|\/)index$/, ""),
+        title: data.title || null,
+        data: toJson(data),
+      };
+    });
+}
+
+/**
+ * The index of a content directory: posts newest first with their slug,
+ * language, title, yyyy-MM-dd date, tags, authors ({ id, name }) and
+ * front matter, and pages with their slug, title and front matter. `file`
+ * is relative to content/posts or content/pages.
+ */
+export function buildContentIndex(contentDirectory) {
+  return {
+    locale: DEFAULT_LOCALE,
+    posts: listPosts(
+      path.join(contentDirectory, "posts"),
+      loadAuthorNames(path.join(contentDirectory, "authors"))
+    ),
+    pages: listPages(path.join(contentDirectory, "pages")),
+  };
+}
+
+// The file as written, so checking it is a plain string comparison
+export function renderContentIndex(index) {
+  return `${JSON.stringify(index, null, 2)}\n`;
+}
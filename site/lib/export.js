@@ -0,0 +1,464 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { strToU8, zipSync } from "fflate";
+import { fromHtml } from "hast-util-from-html";
+import { toHtml } from "hast-util-to-html";
+import { toXast } from "hast-util-to-xast";
+import { toXml } from "xast-util-to-xml";
+import { siteConfig } from "./config.js";
+import { isSitePath, normalizeSitePath } from "./links.js";
+import {
+  getAliases,
+  getAllPages,
+  getAllPosts,
+  getPageContent,
+  getPostBySlug,
+} from "./markdown.js";
+import { find, simplifyHtml } from "./portable-html.js";
+import { DEFAULT_LOCALE, SITE_DESCRIPTION, SITE_TITLE, postPath } from "./site.js";
+
+/*
+ * Whole-vault exports that outlive the site and its toolchain: an EPUB of
+ * every post and one offline HTML file with every post and page. Both are
+ * made from the same rendered content as the site. Links between exported
+ * documents stay inside the export, other site links point at the live
+ * site, and images are embedded, including those hosted elsewhere.
+ */
+
+const XHTML = "http://www.w3.org/1999/xhtml";
+const MATHML = "http://www.w3.org/1998/Math/MathML";
+
+// Formats every EPUB reader and browser shows; others are converted
+const IMAGE_TYPES = {
+  jpeg: ["image/jpeg", "jpg"],
+  png: ["image/png", "png"],
+  gif: ["image/gif", "gif"],
+  svg: ["image/svg+xml", "svg"],
+};
+
+// Readable on its own; code keeps the light colours Shiki inlined
+const STYLES = `
+body { margin: 0 auto; max-width: 46rem; padding: 0 1rem; font-family: Georgia, serif; line-height: 1.6; }
+h1, h2, h3, h4 { font-family: system-ui, sans-serif; line-height: 1.25; }
+img, svg { max-width: 100%; height: auto; }
+figure { margin: 1.5rem 0; }
+figcaption, .meta { color: #666; font-size: 0.9em; }
+pre { overflow-x: auto; padding: 1rem; border-radius: 0.5rem; font-size: 0.85em; line-height: 1.5; }
+pre span { color: var(--shiki-light); }
+code { font-family: ui-monospace, monospace; }
+blockquote, .callout { margin: 1.5rem 0; padding: 0.5rem 1rem; border-left: 4px solid #ccc; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; }
+math[display="block"] { display: block; margin: 1rem 0; overflow-x: auto; }
+`;
+
+// Only the offline page follows the reader's colour scheme
+const DARK_STYLES = `
+@media (prefers-color-scheme: dark) {
+  body { background: #171717; color: #e5e5e5; }
+  a { color: #93c5fd; }
+  pre { background-color: var(--shiki-dark-bg) !important; }
+  pre span { color: var(--shiki-dark); }
+}
+article { border-top: 1px solid #ccc; margin-top: 3rem; }
+`;
+
+function h(tagName, properties = {}, children = []) {
+  return {
+    type: "element",
+    tagName,
+    properties,
+    children: children.map((child) =>
+      typeof child === "string" ? { type: "text", value: child } : child
+    ),
+  };
+}
+
+function walk(node, callback) {
+  callback(node);
+  if (node.children) node.children.forEach((child) => walk(child, callback));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// /posts/why -> posts-why, unique per document and usable as an id
+function documentId(sitePath) {
+  return sitePath.replace(/^\/+/, "").replace(/[^a-z0-9-]+/gi, "-") || "home";
+}
+
+/**
+ * Posts in every language, oldest first, then the content pages, each as
+ * { id, kind, path, title, lang, date, authors, image, html }.
+ */
+export async function getVaultDocuments() {
+  const posts = [...(await getAllPosts({ locale: null }))].reverse();
+  const documents = [];
+
+  for (const post of posts) {
+    const { content, metadata } = await getPostBySlug(post.slug, { locale: post.lang });
+    documents.push({
+      id: documentId(postPath(post)),
+      kind: "post",
+      path: postPath(post),
+      title: metadata.title,
+      lang: metadata.lang,
+      date: metadata.date,
+      authors: metadata.authors.map((author) => author.name),
+      image: metadata.image,
+      html: content,
+    });
+  }
+
+  for (const page of await getAllPages()) {
+    const { content, metadata } = await getPageContent(page.filename);
+    documents.push({
+      id: documentId(page.path),
+      kind: "page",
+      path: page.path,
+      title: metadata.title || page.title,
+      lang: DEFAULT_LOCALE,
+      date: null,
+      authors: [],
+      image: null,
+      html: content,
+    });
+  }
+
+  return documents;
+}
+
+const images = new Map();
+
+async function fetchImage(src) {
+  if (isSitePath(src)) {
+    const publicDirectory = path.join(process.cwd(), "public");
+    const filePath = path.join(publicDirectory, decodeURI(normalizeSitePath(src)));
+    if (!filePath.startsWith(publicDirectory + path.sep) || !fs.existsSync(filePath)) {
+      throw new Error("no such file in public/");
+    }
+    return fs.readFileSync(filePath);
+  }
+
+  const response = await fetch(src.startsWith("//") ? `https:${src}` : src, {
+    signal: AbortSignal.timeout(30000),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function readImage(src) {
+  try {
+    const contents = await fetchImage(src);
+    const { format, hasAlpha } = await sharp(contents).metadata();
+    if (IMAGE_TYPES[format]) {
+      const [type, extension] = IMAGE_TYPES[format];
+      return { contents, type, extension };
+    }
+
+    // WebP, AVIF and friends are not EPUB core media types
+    const target = hasAlpha ? "png" : "jpeg";
+    const [type, extension] = IMAGE_TYPES[target];
+    return { contents: await sharp(contents).toFormat(target).toBuffer(), type, extension };
+  } catch (error) {
+    console.warn(`Could not embed image ${src}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * An image from the site or another host, as { contents, type, extension }
+ * in a format EPUB readers support, or null (with a warning) when it cannot
+ * be read. Each image is fetched once.
+ */
+function loadImage(src) {
+  if (!images.has(src)) images.set(src, readImage(src));
+  return images.get(src);
+}
+
+/**
+ * Turn a rendered document into a hast tree for an export. `linkTo(path,
+ * fragment)` returns the href for a site path that is part of the export
+ * (or null to link to the live site), `embed(image)` the src for a loaded
+ * image, and `idPrefix` keeps heading ids unique when documents share a
+ * page.
+ */
+async function prepareDocument(document, { linkTo, embed, idPrefix = "", aliases }) {
+  const tree = fromHtml(document.html, { fragment: true });
+  const cover = document.image
+    ? [h("figure", { className: ["cover"] }, [h("img", { src: document.image, alt: "" })])]
+    : [];
+  const byline = [document.date, document.authors.join(", ")].filter(Boolean).join(" · ");
+  // Pages may open with their own title
+  const opening = tree.children.find((node) => node.type === "element");
+  const header = [
+    ...(opening?.tagName === "h1" ? [] : [h("h1", {}, [document.title])]),
+    ...(byline ? [h("p", { className: ["meta"] }, [byline])] : []),
+  ];
+
+  tree.children = [
+    ...(header.length ? [h("header", {}, header)] : []),
+    ...cover,
+    ...tree.children,
+  ];
+  simplifyHtml(tree);
+
+  const pending = [];
+  walk(tree, (node) => {
+    if (node.type !== "element") return;
+    const { properties } = node;
+
+    if (idPrefix && typeof properties.id === "string") {
+      properties.id = `${idPrefix}${properties.id}`;
+    }
+    if (idPrefix && Array.isArray(properties.ariaDescribedBy)) {
+      properties.ariaDescribedBy = properties.ariaDescribedBy.map((id) => `${idPrefix}${id}`);
+    }
+
+    if (typeof properties.href === "string") {
+      const [pathname, fragment] = properties.href.split("#");
+      if (!pathname && fragment !== undefined) {
+        properties.href = `#${idPrefix}${fragment}`;
+      } else if (isSitePath(properties.href)) {
+        const target = normalizeSitePath(pathname);
+        const resolved = aliases.get(target) || target;
+        properties.href =
+          linkTo(resolved, fragment) ?? `${siteConfig.url.replace(/\/+$/, "")}${properties.href}`;
+      }
+    }
+
+    if (node.tagName === "img" && typeof properties.src === "string" && !properties.src.startsWith("data:")) {
+      pending.push(node);
+    }
+  });
+
+  // Sequentially, to be gentle with image hosts
+  for (const node of pending) {
+    const image = await loadImage(node.properties.src);
+    if (image) {
+      node.properties.src = embed(image);
+    } else {
+      // Keep a way to the original rather than a broken image
+      const { src, alt } = node.properties;
+      Object.assign(node, h("a", { href: src }, [alt || src]));
+    }
+  }
+
+  return tree;
+}
+
+async function getAliasMap() {
+  return new Map((await getAliases()).map((alias) => [alias.from, alias.to]));
+}
+
+// hast has no MathML namespace, and Mermaid puts HTML inside SVG
+function fixNamespaces(node, parentName) {
+  if (node.type === "element") {
+    if (node.name === "math") node.attributes.xmlns = MATHML;
+    if (parentName === "foreignObject") node.attributes.xmlns = XHTML;
+  }
+  (node.children || []).forEach((child) => fixNamespaces(child, node.name));
+}
+
+function toXhtmlFragment(tree) {
+  const xast = toXast(tree);
+  fixNamespaces(xast);
+  return toXml(xast);
+}
+
+function xhtmlDocument({ title, lang, stylesheet, body }) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="${XHTML}" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * An EPUB 3 book of every post in `documents`, oldest first, with a table of
+ * contents and every image inside the book. Returns the file's bytes.
+ */
+export async function buildEpub(documents) {
+  const posts = documents.filter((document) => document.kind === "post");
+  const aliases = await getAliasMap();
+  const chapterFile = (index) => `chapter-${String(index + 1).padStart(3, "0")}.xhtml`;
+  const chapters = new Map(posts.map((post, index) => [post.path, chapterFile(index)]));
+  const assets = new Map();
+  const files = [];
+
+  for (const [index, post] of posts.entries()) {
+    const tree = await prepareDocument(post, {
+      aliases,
+      linkTo: (sitePath, fragment) =>
+        chapters.has(sitePath)
+          ? `${chapters.get(sitePath)}${fragment ? `#${fragment}` : ""}`
+          : null,
+      embed: (image) => {
+        const hash = crypto.createHash("sha256").update(image.contents).digest("hex").slice(0, 12);
+        const name = `images/${hash}.${image.extension}`;
+        assets.set(name, image);
+        return `../${name}`;
+      },
+    });
+
+    const properties = [
+      find(tree, (node) => node.tagName === "math") && "mathml",
+      find(tree, (node) => node.tagName === "svg") && "svg",
+    ].filter(Boolean);
+    const body = toXhtmlFragment({ type: "root", children: [h("article", { lang: post.lang }, tree.children)] });
+
+    files.push({
+      id: `chapter-${index + 1}`,
+      href: `chapters/${chapterFile(index)}`,
+      title: post.title,
+      properties,
+      contents: xhtmlDocument({ title: post.title, lang: post.lang, stylesheet: "../style.css", body }),
+    });
+  }
+
+  const nav = xhtmlDocument({
+    title: SITE_TITLE,
+    lang: DEFAULT_LOCALE,
+    stylesheet: "style.css",
+    body: `<h1>${escapeXml(SITE_TITLE)}</h1>
+<p>${escapeXml(SITE_DESCRIPTION)}</p>
+<nav epub:type="toc" id="toc">
+<h2>Contents</h2>
+<ol>
+${files.map((file) => `<li><a href="${file.href}">${escapeXml(file.title)}</a></li>`).join("\n")}
+</ol>
+</nav>`,
+  });
+
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  const manifest = [
+    `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+    `<item id="style" href="style.css" media-type="text/css"/>`,
+    ...files.map(
+      (file) =>
+        `<item id="${file.id}" href="${file.href}" media-type="application/xhtml+xml"${
+          file.properties.length ? ` properties="${file.properties.join(" ")}"` : ""
+        }/>`
+    ),
+    ...[...assets].map(
+      ([name, image], index) =>
+        `<item id="image-${index + 1}" href="${name}" media-type="${image.type}"/>`
+    ),
+  ];
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${DEFAULT_LOCALE}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXml(siteConfig.url)}</dc:identifier>
+<dc:title>${escapeXml(SITE_TITLE)}</dc:title>
+<dc:creator>${escapeXml(SITE_TITLE)}</dc:creator>
+<dc:description>${escapeXml(SITE_DESCRIPTION)}</dc:description>
+<dc:language>${DEFAULT_LOCALE}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.join("\n")}
+</manifest>
+<spine>
+<itemref idref="nav"/>
+${files.map((file) => `<itemref idref="${file.id}"/>`).join("\n")}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="EPUB/package.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+  // The mimetype entry has to come first and stay uncompressed
+  return zipSync({
+    mimetype: [strToU8("application/epub+zip"), { level: 0 }],
+    "META-INF/container.xml": strToU8(container),
+    "EPUB/package.opf": strToU8(opf),
+    "EPUB/nav.xhtml": strToU8(nav),
+    "EPUB/style.css": strToU8(STYLES),
+    ...Object.fromEntries(files.map((file) => [`EPUB/${file.href}`, strToU8(file.contents)])),
+    ...Object.fromEntries(
+      [...assets].map(([name, image]) => [`EPUB/${name}`, [new Uint8Array(image.contents), { level: 0 }]])
+    ),
+  });
+}
+
+/**
+ * One HTML file holding every document with its images inlined as data
+ * URIs, readable in any browser with nothing else around it.
+ */
+export async function buildOfflineHtml(documents) {
+  const aliases = await getAliasMap();
+  const ids = new Map(documents.map((document) => [document.path, document.id]));
+  const articles = [];
+
+  for (const document of documents) {
+    const tree = await prepareDocument(document, {
+      aliases,
+      idPrefix: `${document.id}--`,
+      linkTo: (sitePath, fragment) =>
+        ids.has(sitePath)
+          ? `#${ids.get(sitePath)}${fragment ? `--${fragment}` : ""}`
+          : null,
+      embed: (image) => `data:${image.type};base64,${image.contents.toString("base64")}`,
+    });
+    articles.push(
+      toHtml(h("article", { id: document.id, lang: document.lang }, tree.children))
+    );
+  }
+
+  const contents = (kind) =>
+    documents
+      .filter((document) => document.kind === kind)
+      .map((document) => `<li><a href="#${document.id}">${escapeXml(document.title)}</a></li>`)
+      .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${DEFAULT_LOCALE}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(SITE_TITLE)}</title>
+<style>${STYLES}${DARK_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeXml(SITE_TITLE)}</h1>
+<p>${escapeXml(SITE_DESCRIPTION)}</p>
+<p class="meta">Exported from <a href="${escapeXml(siteConfig.url)}">${escapeXml(siteConfig.url)}</a> on ${new Date().toISOString().slice(0, 10)}</p>
+</header>
+<nav>
+<h2>Posts</h2>
+<ol>
+${contents("post")}
+</ol>
+<h2>Pages</h2>
+<ul>
+${contents("page")}
+</ul>
+</nav>
+${articles.join("\n")}
+</body>
+</html>
+`;
+}
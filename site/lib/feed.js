@@ -0,0 +1,185 @@
+import { getAllPosts, getPostBySlug } from "./markdown.js";
+import { toPortableHtml } from "./portable-html.js";
+import {
+  DEFAULT_LOCALE,
+  SITE_DESCRIPTION,
+  SITE_TITLE,
+  absoluteUrl,
+  getLocale,
+  getSiteOrigin,
+  localePath,
+  postPath,
+} from "./site.js";
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// CDATA cannot contain "]]>", so split it across two sections
+function cdata(value) {
+  return `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+// Feed readers show content outside the site, so root-relative links and
+// images must point back at it; they already carry the basePath (see
+// rehypeBasePath in lib/links.js)
+function absolutizeHtml(html) {
+  return html
+    .replace(
+      /(\s(?:href|src|poster))="(\/(?!\/)[^"]*)"/g,
+      (match, attr, url) => `${attr}="${getSiteOrigin()}${url}"`
+    )
+    .replace(/(\ssrcset)="([^"]*)"/g, (match, attr, candidates) => {
+      const absolute = candidates.replace(/(^|,\s*)(\/(?!\/))/g, `$1${getSiteOrigin()}$2`);
+      return `${attr}="${absolute}"`;
+    });
+}
+
+function imageMimeType(url) {
+  const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  const types = {
+    png: "image/png",
+    gif: "image/gif",
+    webp: "image/webp",
+    avif: "image/avif",
+    svg: "image/svg+xml",
+  };
+  return types[extension] || "image/jpeg";
+}
+
+/**
+ * Collect everything the feed formats need for one language, optionally
+ * narrowed to one tag.
+ */
+export async function getFeed({ tag, locale = DEFAULT_LOCALE } = {}) {
+  const posts = await getAllPosts({ locale });
+  const selected = tag
+    ? posts.filter((post) => post.tags.some((t) => t.slug === tag))
+    : posts;
+  const tagName = tag && selected[0]?.tags.find((t) => t.slug === tag)?.name;
+  const prefix = localePath(locale, tag ? `/tags/${tag}` : "/").replace(/\/$/, "");
+  const language = locale === DEFAULT_LOCALE ? "" : ` (${getLocale(locale).label})`;
+
+  const items = await Promise.all(
+    selected.map(async (post) => {
+      const { content, metadata } = await getPostBySlug(post.slug, { locale });
+      const date = metadata.isoDate ? new Date(metadata.isoDate) : null;
+
+      return {
+        id: absoluteUrl(postPath(post)),
+        url: absoluteUrl(postPath(post)),
+        title: metadata.title,
+        summary: metadata.excerpt,
+        // Without the site's copy buttons and heading links
+        content: absolutizeHtml(toPortableHtml(content)),
+        authors: metadata.authors.length
+          ? metadata.authors.map((author) => ({
+              name: author.name,
+              url: absoluteUrl(`/authors/${author.id}`),
+            }))
+          : [{ name: "Anonymous" }],
+        tags: metadata.tags.map((t) => t.name),
+        image: metadata.image ? absoluteUrl(metadata.image) : null,
+        date,
+      };
+    })
+  );
+
+  return {
+    title: `${tagName ? `${SITE_TITLE} - ${tagName}` : SITE_TITLE}${language}`,
+    description: SITE_DESCRIPTION,
+    language: locale,
+    // Other languages have no home page of their own, only /<code>/posts
+    link: absoluteUrl(tag || locale === DEFAULT_LOCALE ? prefix || "/" : `${prefix}/posts`),
+    rssUrl: absoluteUrl(`${prefix}/feed.xml`),
+    atomUrl: absoluteUrl(`${prefix}/atom.xml`),
+    jsonUrl: absoluteUrl(`${prefix}/feed.json`),
+    updated: items.find((item) => item.date)?.date || new Date(),
+    items,
+  };
+}
+
+export function renderRss(feed) {
+  const items = feed.items
+    .map(
+      (item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+${item.date ? `      <pubDate>${item.date.toUTCString()}</pubDate>\n` : ""}${item.authors.map((author) => `      <dc:creator>${escapeXml(author.name)}</dc:creator>\n`).join("")}${item.tags.map((tag) => `      <category>${escapeXml(tag)}</category>\n`).join("")}      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${cdata(item.content)}</content:encoded>
+${item.image ? `      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageMimeType(item.image)}"/>\n` : ""}    </item>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.rssUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+  const entries = feed.items
+    .map(
+      (item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link href="${escapeXml(item.url)}"/>
+${item.date ? `    <published>${item.date.toISOString()}</published>\n    <updated>${item.date.toISOString()}</updated>\n` : ""}${item.authors.map((author) => `    <author><name>${escapeXml(author.name)}</name>${author.url ? `<uri>${escapeXml(author.url)}</uri>` : ""}</author>\n`).join("")}${item.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>\n`).join("")}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.content)}</content>
+${item.image ? `    <link rel="enclosure" href="${escapeXml(item.image)}" type="${imageMimeType(item.image)}"/>\n` : ""}  </entry>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.link)}</id>
+  <link href="${escapeXml(feed.link)}"/>
+  <link rel="self" href="${escapeXml(feed.atomUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+export function renderJsonFeed(feed) {
+  return JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.link,
+      language: feed.language,
+      feed_url: feed.jsonUrl,
+      items: feed.items.map((item) => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary || undefined,
+        content_html: item.content,
+        image: item.image || undefined,
+        date_published: item.date ? item.date.toISOString() : undefined,
+        authors: item.authors,
+        tags: item.tags,
+      })),
+    },
+    null,
+    2
+  );
+}
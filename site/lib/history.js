@@ -0,0 +1,169 @@
+import { execFileSync } from "child_process";
+import path from "path";
+
+/*
+ * Revision history of content files from the git repository the site is
+ * built in: who changed a file, when, and how. Renames are followed. Outside
+ * a git checkout (a downloaded archive, or a build with git missing) every
+ * file simply has no history, and callers fall back to the front matter.
+ * Deploys need the full history, not a shallow clone.
+ */
+
+// Fields of `git log` output, split on ASCII unit and record separators
+const FIELDS = ["hash", "author", "email", "date", "subject"];
+const FORMAT = `%x1e${["%H", "%aN", "%aE", "%aI", "%s"].join("%x1f")}`;
+
+function git(args, cwd = process.cwd()) {
+  return execFileSync("git", ["-c", "core.quotePath=false", ...args], {
+    cwd,
+    encoding: "utf8",
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+}
+
+let repositoryRoot;
+
+// Top of the working tree, or null when the build is not in one
+function getRepositoryRoot() {
+  if (repositoryRoot === undefined) {
+    try {
+      repositoryRoot = git(["rev-parse", "--show-toplevel"]).trim();
+    } catch {
+      repositoryRoot = null;
+    }
+  }
+  return repositoryRoot;
+}
+
+// The deploy workflow builds from a copy of content/ inside site/, which git
+// does not track; its history is that of the original
+function trackedPath(root, filePath) {
+  const relative = path.relative(root, filePath).split(path.sep).join("/");
+  const candidates = [...new Set([relative, relative.replace(/^.+?\/content\//, "content/")])];
+  return candidates.find((candidate) => git(["ls-files", "--", candidate], root).trim());
+}
+
+function parseLog(output) {
+  return output
+    .split("\x1e")
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [header, ...names] = record.split("\n");
+      const revision = Object.fromEntries(
+        header.split("\x1f").map((value, index) => [FIELDS[index], value])
+      );
+      return {
+        ...revision,
+        shortHash: revision.hash.slice(0, 7),
+        // Where the file was at this revision, which --follow tracks
+        path: names.find((name) => name.trim()),
+      };
+    });
+}
+
+const histories = new Map();
+
+/**
+ * Every commit that changed the file at `filePath` (absolute), newest
+ * first, as { hash, shortHash, author, email, date, subject, path }. Empty
+ * when there is no repository or the file is not committed.
+ */
+export function getFileHistory(filePath) {
+  if (histories.has(filePath)) return histories.get(filePath);
+
+  let revisions = [];
+  const root = getRepositoryRoot();
+  try {
+    const tracked = root && trackedPath(root, filePath);
+    if (tracked) {
+      revisions = parseLog(
+        git(["log", "--follow", "--name-only", `--format=${FORMAT}`, "--", tracked], root)
+      );
+    }
+  } catch {
+    revisions = [];
+  }
+
+  histories.set(filePath, revisions);
+  return revisions;
+}
+
+/**
+ * Created and last modified date (ISO timestamps) of a history, and its
+ * contributors with their number of commits, most active first. Null for
+ * an empty history.
+ */
+export function summarizeHistory(revisions) {
+  if (!revisions.length) return null;
+
+  const commits = new Map();
+  revisions.forEach((revision) => {
+    commits.set(revision.author, (commits.get(revision.author) || 0) + 1);
+  });
+
+  return {
+    created: revisions[revisions.length - 1].date,
+    updated: revisions[0].date,
+    contributors: [...commits]
+      .map(([name, count]) => ({ name, commits: count }))
+      .sort((a, b) => b.commits - a.commits),
+  };
+}
+
+/**
+ * A unified diff as hunks of { type, text, oldLine, newLine } lines, where
+ * `type` is "add", "remove" or "context". File headers are left out.
+ */
+export function parseDiff(text) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  text.split("\n").forEach((line) => {
+    const header = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/.exec(line);
+    if (line.startsWith("diff ")) {
+      // File headers follow until the next hunk
+      hunk = null;
+    } else if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[2]);
+      hunk = { header: line, lines: [] };
+      hunks.push(hunk);
+    } else if (hunk && line.startsWith("+")) {
+      hunk.lines.push({ type: "add", text: line.slice(1), oldLine: null, newLine: newLine++ });
+    } else if (hunk && line.startsWith("-")) {
+      hunk.lines.push({ type: "remove", text: line.slice(1), oldLine: oldLine++, newLine: null });
+    } else if (hunk && line.startsWith(" ")) {
+      hunk.lines.push({
+        type: "context",
+        text: line.slice(1),
+        oldLine: oldLine++,
+        newLine: newLine++,
+      });
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * What the revision at `index` of a history changed, compared with the one
+ * before it (or with nothing, for the first), as parsed hunks.
+ */
+export function getRevisionDiff(revisions, index) {
+  const root = getRepositoryRoot();
+  const revision = revisions[index];
+  const previous = revisions[index + 1];
+  if (!root || !revision) return [];
+
+  const args = previous
+    ? ["diff", "-M", "--no-color", previous.hash, revision.hash, "--", previous.path, revision.path]
+    : ["show", "-M", "--no-color", "--format=", revision.hash, "--", revision.path];
+  try {
+    return parseDiff(git(args, root));
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+
+/*
+ * Images kept next to the content that uses them
+ * (content/posts/my-post/diagram.png) are part of the site rather than
+ * links to somewhere else. They are copied to public/media under a name that
+ * changes with their contents, and photos and screenshots also get resized
+ * copies in AVIF and WebP next to their own format, for <picture> and
+ * srcset.
+ */
+
+// Widths of the resized copies; images are never scaled up
+export const IMAGE_WIDTHS = [480, 960, 1600];
+
+// How wide images are shown: the full post column, or the screen below it
+export const IMAGE_SIZES = "(min-width: 56rem) 52rem, 100vw";
+
+// Offered before the original format, best first
+const MODERN_FORMATS = ["avif", "webp"];
+
+// Formats that are resized, by sharp's name, with their file extension;
+// anything else (SVG, GIF) is copied as it is
+const RESIZABLE = { jpeg: "jpg", png: "png", webp: "webp", avif: "avif" };
+
+// Content paths in reports and vfiles are relative to the repository root
+function findRepositoryRoot() {
+  const candidates = [process.cwd(), path.join(process.cwd(), "..")];
+  return candidates.find((dir) => fs.existsSync(path.join(dir, "content"))) || process.cwd();
+}
+
+const root = findRepositoryRoot();
+const contentDirectory = path.join(root, "content");
+const mediaDirectory = path.join(process.cwd(), "public", "media");
+
+// A file next to the content, not a site path, URL or fragment
+export function isLocalImage(src) {
+  return typeof src === "string" && src.trim() !== "" && !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(src);
+}
+
+// http(s) images, which are only as permanent as the host serving them
+export function isExternalImage(src) {
+  return typeof src === "string" && /^(https?:)?\/\//i.test(src);
+}
+
+/**
+ * The file a local image `src` refers to from the content file `file`
+ * (relative to the repository root), or null when it points outside
+ * content/ or does not exist.
+ */
+export function resolveImage(src, file) {
+  let relative = src.split(/[?#]/)[0];
+  try {
+    relative = decodeURI(relative);
+  } catch {}
+
+  const filePath = path.resolve(root, path.dirname(file), relative);
+  if (!filePath.startsWith(contentDirectory + path.sep)) return null;
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+}
+
+// posts/my-post/diagram-1a2b3c4d: the content path plus a hash of the bytes,
+// so an edited image never hides behind a cached copy
+function mediaName(filePath, contents) {
+  const hash = crypto.createHash("sha256").update(contents).digest("hex").slice(0, 8);
+  const { dir, name } = path.parse(path.relative(contentDirectory, filePath));
+  return path.posix.join(...dir.split(path.sep), `${name}-${hash}`);
+}
+
+// Several build workers can render the same image; a half-written file is
+// never visible under its final name
+async function writeOnce(target, write) {
+  if (fs.existsSync(target)) return;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const temporary = `${target}.${process.pid}.tmp`;
+  await write(temporary);
+  fs.renameSync(temporary, target);
+}
+
+/**
+ * Copy an image into the site unchanged and return its site path. Used for
+ * front matter images, which feeds and social cards need as one file.
+ */
+export function copyImage(filePath) {
+  const contents = fs.readFileSync(filePath);
+  const file = `${mediaName(filePath, contents)}${path.extname(filePath).toLowerCase()}`;
+  const target = path.join(mediaDirectory, file);
+
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const temporary = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, contents);
+    fs.renameSync(temporary, target);
+  }
+  return `/media/${file}`;
+}
+
+async function renderImage(filePath) {
+  const contents = fs.readFileSync(filePath);
+  const { format, width, height, pages = 1, orientation = 1 } = await sharp(contents).metadata();
+  const extension = RESIZABLE[format];
+
+  // Vector and animated images keep their own file
+  if (!extension || pages > 1) {
+    return { src: copyImage(filePath), width, height, srcSet: null, sources: [] };
+  }
+
+  // EXIF orientations 5 to 8 are rotated a quarter turn
+  const [fullWidth, fullHeight] = orientation >= 5 ? [height, width] : [width, height];
+  const largest = Math.min(fullWidth, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+  const widths = [...IMAGE_WIDTHS.filter((size) => size < largest), largest];
+  const name = mediaName(filePath, contents);
+  const formats = [...MODERN_FORMATS.filter((modern) => modern !== format), format];
+  const file = (target, size) => `${name}-${size}.${RESIZABLE[target]}`;
+  const url = (target, size) => `/media/${file(target, size)}`;
+
+  for (const target of formats) {
+    for (const size of widths) {
+      await writeOnce(path.join(mediaDirectory, file(target, size)), (out) =>
+        sharp(contents).rotate().resize({ width: size }).toFormat(target).toFile(out)
+      );
+    }
+  }
+
+  const srcSet = (target) => widths.map((size) => `${url(target, size)} ${size}w`).join(", ");
+  return {
+    src: url(format, largest),
+    width: largest,
+    height: Math.round((fullHeight * largest) / fullWidth),
+    srcSet: srcSet(format),
+    sources: formats
+      .slice(0, -1)
+      .map((target) => ({ type: `image/${target}`, srcSet: srcSet(target) })),
+  };
+}
+
+const rendered = new Map();
+
+/**
+ * Resized copies of an image, written to public/media once per build:
+ * { src, srcSet, width, height } for the <img> in its own format and
+ * { type, srcSet } `sources` for the modern ones. SVG and GIF files are
+ * copied as they are, with no sources.
+ */
+export function processImage(filePath) {
+  if (!rendered.has(filePath)) rendered.set(filePath, renderImage(filePath));
+  return rendered.get(filePath);
+}
@@ -0,0 +1,196 @@
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import remarkMdx from "remark-mdx";
+import remarkRehype from "remark-rehype";
+import { rehypeSanitizeContent } from "./sanitize.js";
+import { postPath } from "./site.js";
+
+/*
+ * Links between pieces of content. `[[slug]]` and `[[slug|label]]` become
+ * ordinary links to posts, root-relative links in rendered content get the
+ * basePath, and scanLinks lists every link a file makes so the build can
+ * find broken ones and collect backlinks.
+ */
+
+const WIKI_LINK = /\[\[([^[\]|]+)(?:\|([^[\]]+))?\]\]/g;
+
+// Attributes that point at other pages or assets
+const URL_ATTRIBUTES = ["href", "src", "poster"];
+
+// Elements and MDX components whose `src` is shown as an image
+const IMAGE_ELEMENTS = ["img", "Figure"];
+
+const JSX_ELEMENT = new Set(["mdxJsxFlowElement", "mdxJsxTextElement"]);
+
+function walk(node, callback) {
+  callback(node);
+  if (node.children) node.children.forEach((child) => walk(child, callback));
+}
+
+// /posts/why, not //cdn.example.com or https://...
+export function isSitePath(url) {
+  return typeof url === "string" && url.startsWith("/") && !url.startsWith("//");
+}
+
+/**
+ * Turn `[[slug]]` and `[[slug|label]]` into links to posts. `posts` are the
+ * post summaries to match, in order of preference; the label defaults to the
+ * post title. Unknown slugs are left as text and passed to `report` with
+ * their line.
+ */
+export function remarkWikiLinks({ posts = [], report = () => {} } = {}) {
+  return (tree) => {
+    const visit = (node) => {
+      if (!node.children || node.type === "link" || node.type === "linkReference") return;
+
+      node.children = node.children.flatMap((child) => {
+        if (child.type !== "text" || !child.value.includes("[[")) {
+          visit(child);
+          return [child];
+        }
+
+        const parts = [];
+        let last = 0;
+        for (const match of child.value.matchAll(WIKI_LINK)) {
+          const [text, target, label] = match;
+          const slug = target.trim();
+          const post = posts.find((candidate) => candidate.slug === slug);
+          const line =
+            (child.position?.start.line ?? 1) +
+            child.value.slice(0, match.index).split("\n").length - 1;
+
+          if (match.index > last) {
+            parts.push({ type: "text", value: child.value.slice(last, match.index) });
+          }
+          if (post) {
+            parts.push({
+              type: "link",
+              url: postPath(post),
+              position: child.position,
+              children: [{ type: "text", value: label?.trim() || post.title }],
+            });
+          } else {
+            report({ slug, line });
+            parts.push({ type: "text", value: text });
+          }
+          last = match.index + text.length;
+        }
+
+        if (!parts.length) return [child];
+        if (last < child.value.length) {
+          parts.push({ type: "text", value: child.value.slice(last) });
+        }
+        return parts;
+      });
+    };
+
+    visit(tree);
+  };
+}
+
+// "/a.webp 480w, /b.webp 960w" with each site path prefixed
+function prefixSrcSet(srcSet, basePath) {
+  return srcSet
+    .split(",")
+    .map((candidate) => candidate.trim())
+    .map((candidate) => (isSitePath(candidate) ? `${basePath}${candidate}` : candidate))
+    .join(", ");
+}
+
+/**
+ * Prefix root-relative links and images in rendered content with the
+ * basePath, which Next.js only adds to its own <Link>s. Content can then
+ * link to /posts/why and keep working wherever the site is deployed.
+ */
+export function rehypeBasePath() {
+  return (tree) => {
+    const basePath = process.env.BASE_PATH || "";
+    if (!basePath) return;
+
+    walk(tree, (node) => {
+      if (node.type === "element") {
+        URL_ATTRIBUTES.forEach((name) => {
+          if (isSitePath(node.properties?.[name])) {
+            node.properties[name] = `${basePath}${node.properties[name]}`;
+          }
+        });
+        if (typeof node.properties?.srcSet === "string") {
+          node.properties.srcSet = prefixSrcSet(node.properties.srcSet, basePath);
+        }
+      } else if (JSX_ELEMENT.has(node.type) && /^[a-z]/.test(node.name || "")) {
+        node.attributes.forEach((attribute) => {
+          if (URL_ATTRIBUTES.includes(attribute.name) && isSitePath(attribute.value)) {
+            attribute.value = `${basePath}${attribute.value}`;
+          }
+        });
+      }
+    });
+  };
+}
+
+/**
+ * Every link and image in a markdown or MDX body, as { url, line }, plus the
+ * wiki links that match no post and, separately, the `images` shown. Components
+ * count too, so <Figure src="/..."> is checked like an image. This parses the
+ * file without rendering it, so it is cheap enough to run over all content.
+ */
+export async function scanLinks(source, { file, mdx = false, posts = [] } = {}) {
+  const links = [];
+  const images = [];
+  const unresolved = [];
+  const processor = remark()
+    .use(mdx ? [remarkMdx] : [])
+    .use(remarkGfm)
+    .use(remarkMath)
+    .use(remarkWikiLinks, { posts, report: (link) => unresolved.push(link) })
+    .use(remarkRehype, {
+      allowDangerousHtml: true,
+      passThrough: [...JSX_ELEMENT],
+    })
+    .use(mdx ? [] : [[rehypeSanitizeContent, { report: () => {} }]]);
+
+  const tree = await processor.run(processor.parse({ value: source, path: file }), {
+    path: file,
+  });
+
+  walk(tree, (node) => {
+    const line = node.position?.start.line ?? 1;
+    // Markdown inside MDX components is still mdast at this point
+    if (["link", "image", "definition"].includes(node.type)) {
+      links.push({ url: node.url, line });
+      if (node.type === "image") images.push({ url: node.url, line });
+    } else if (node.type === "element") {
+      URL_ATTRIBUTES.forEach((name) => {
+        if (typeof node.properties?.[name] === "string") {
+          links.push({ url: node.properties[name], line });
+        }
+      });
+      if (node.tagName === "img" && typeof node.properties?.src === "string") {
+        images.push({ url: node.properties.src, line });
+      }
+    } else if (JSX_ELEMENT.has(node.type)) {
+      node.attributes
+        .filter((attribute) => URL_ATTRIBUTES.includes(attribute.name))
+        .filter((attribute) => typeof attribute.value === "string")
+        .forEach((attribute) => {
+          links.push({ url: attribute.value, line });
+          if (attribute.name === "src" && IMAGE_ELEMENTS.includes(node.name)) {
+            images.push({ url: attribute.value, line });
+          }
+        });
+    }
+  });
+
+  return { links, images, unresolved };
+}
+
+// The route a site path points at: no query, fragment or trailing slash
+export function normalizeSitePath(url) {
+  const pathname = url.split(/[?#]/)[0].replace(/\/+$/, "");
+  try {
+    return decodeURI(pathname) || "/";
+  } catch {
+    return pathname || "/";
+  }
+}
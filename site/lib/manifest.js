@@ -0,0 +1,167 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { unzipSync } from "fflate";
+import matter from "gray-matter";
+import { siteConfig } from "./config.js";
+import { toIsoDate } from "./site.js";
+
+/*
+ * The content manifest lists every file under content/ with its SHA-256 and
+ * size, plus the title and date of markdown files, and is published with
+ * the site as /content-manifest.json. Anyone holding a copy of the vault (a
+ * checkout, or a zip of one) can compare it with the published manifest,
+ * and a detached signature lets mirrors prove the manifest came from the
+ * vault's owner.
+ */
+
+export const MANIFEST_FILE = "content-manifest.json";
+export const SIGNATURE_FILE = `${MANIFEST_FILE}.sig`;
+
+const MARKDOWN = /\.mdx?$/;
+
+// content/ next to the site in a checkout, or copied into it for deploys
+export function findContentDirectory(root = process.cwd()) {
+  const candidates = [
+    path.basename(root) === "content" ? root : null,
+    path.join(root, "content"),
+    path.join(root, "..", "content"),
+  ].filter(Boolean);
+  return candidates.find((dir) => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+}
+
+// Title and date as written; a file that does not parse still gets listed
+function frontMatter(contents) {
+  try {
+    const { data } = matter(contents.toString("utf8"));
+    return {
+      title: typeof data.title === "string" ? data.title : null,
+      date: toIsoDate(data.date),
+    };
+  } catch {
+    return { title: null, date: null };
+  }
+}
+
+function manifestEntry(file, contents) {
+  const entry = {
+    path: file,
+    sha256: crypto.createHash("sha256").update(contents).digest("hex"),
+    size: contents.length,
+  };
+  return MARKDOWN.test(file) ? { ...entry, ...frontMatter(contents) } : entry;
+}
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    // .DS_Store and friends are not content
+    if (entry.name.startsWith(".")) return [];
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(fullPath) : [fullPath];
+  });
+}
+
+/**
+ * Every file in a content directory as { path, contents }, with paths like
+ * content/posts/why.md whatever the directory is called.
+ */
+export function readContentDirectory(contentDirectory) {
+  return walk(contentDirectory).map((filePath) => ({
+    path: ["content", ...path.relative(contentDirectory, filePath).split(path.sep)].join("/"),
+    contents: fs.readFileSync(filePath),
+  }));
+}
+
+/**
+ * Every file under the content/ folder of a zip archive, such as the one
+ * GitHub offers for a repository, which nests everything in a folder of its
+ * own. The shallowest content/ folder wins.
+ */
+export function readContentArchive(buffer) {
+  const entries = Object.entries(unzipSync(new Uint8Array(buffer))).filter(
+    ([name]) => !name.endsWith("/")
+  );
+  const prefixes = entries
+    .map(([name]) => name.match(/^(?:.*\/)?content\//)?.[0])
+    .filter(Boolean)
+    .sort((a, b) => a.split("/").length - b.split("/").length);
+  if (!prefixes.length) return [];
+
+  const [prefix] = prefixes;
+  return entries
+    .filter(([name]) => name.startsWith(prefix))
+    .filter(([name]) => !name.split("/").some((part) => part.startsWith(".")))
+    .map(([name, contents]) => ({
+      path: `content/${name.slice(prefix.length)}`,
+      contents: Buffer.from(contents),
+    }));
+}
+
+/**
+ * The manifest of a set of files from `readContentDirectory` or
+ * `readContentArchive`, sorted by path so the same content always gives
+ * the same manifest.
+ */
+export function buildManifest(files) {
+  return {
+    site: siteConfig.url,
+    algorithm: "sha256",
+    files: files
+      .map((file) => manifestEntry(file.path, file.contents))
+      .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)),
+  };
+}
+
+// The manifest of this site's content, served by app/content-manifest.json
+export function getContentManifest() {
+  const contentDirectory = findContentDirectory();
+  return buildManifest(contentDirectory ? readContentDirectory(contentDirectory) : []);
+}
+
+/**
+ * Files in the `published` manifest that are not in the `local` one,
+ * files only the local copy has, and files whose contents differ, each as
+ * a list of { path, expected, actual } entries.
+ */
+export function compareManifests(published, local) {
+  const expected = new Map(published.files.map((file) => [file.path, file]));
+  const actual = new Map(local.files.map((file) => [file.path, file]));
+
+  return {
+    missing: published.files
+      .filter((file) => !actual.has(file.path))
+      .map((file) => ({ path: file.path, expected: file, actual: null })),
+    extra: local.files
+      .filter((file) => !expected.has(file.path))
+      .map((file) => ({ path: file.path, expected: null, actual: file })),
+    altered: local.files
+      .filter((file) => expected.has(file.path) && expected.get(file.path).sha256 !== file.sha256)
+      .map((file) => ({ path: file.path, expected: expected.get(file.path), actual: file })),
+  };
+}
+
+// Ed25519 and Ed448 keys sign the bytes themselves; RSA and EC keys a SHA-256
+function digestFor(key) {
+  return ["ed25519", "ed448"].includes(key.asymmetricKeyType) ? null : "sha256";
+}
+
+/**
+ * A detached signature of the manifest's bytes, base64 encoded, made with a
+ * PEM private key.
+ */
+export function signManifest(manifest, privateKeyPem) {
+  const key = crypto.createPrivateKey(privateKeyPem);
+  return crypto.sign(digestFor(key), Buffer.from(manifest), key).toString("base64");
+}
+
+// Whether `signature` was made over the manifest's bytes by the key pair
+// the PEM public (or private) key belongs to
+export function verifyManifestSignature(manifest, signature, publicKeyPem) {
+  const key = crypto.createPublicKey(publicKeyPem);
+  return crypto.verify(
+    digestFor(key),
+    Buffer.from(manifest),
+    key,
+    Buffer.from(signature.trim(), "base64")
+  );
+}
@@ -1,10 +1,31 @@
 import fs from "fs";
 import path from "path";
-import matter from "gray-matter";
-import { format } from "date-fns";
-import { remark } from "remark";
-import html from "remark-html";
-import remarkGfm from "remark-gfm";
+import { siteConfig } from "./config.js";
+import { listPostFiles, postIdentity, walkMarkdownFiles } from "./content-files.js";
+import { getFileHistory, getRevisionDiff, summarizeHistory } from "./history.js";
+import { copyImage, isExternalImage, isLocalImage, resolveImage } from "./images.js";
+import { isSitePath, normalizeSitePath, scanLinks } from "./links.js";
+import { markdownToHtml, markdownToText, mdxToHtml } from "./pipeline.js";
+import { buildRelatedIndex } from "./related.js";
+import {
+  ContentValidationError,
+  authorSchema,
+  pageSchema,
+  findKeyLine,
+  formatIssue,
+  parseContent,
+  postSchema,
+} from "./schema.js";
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  formatDate,
+  getLocale,
+  localePath,
+  postPath,
+  postsPagePath,
+  toIsoDate,
+} from "./site.js";
 
 // Debug function to verify paths
 function verifyPaths() {
@@ -37,6 +58,84 @@ function sanitizeTitle(title) {
     return title;
   }
 
+// Symbols that tell names apart, spelled out so C++ and C# get their own URL
+const SLUG_SYMBOLS = { "+": " plus ", "#": " sharp " };
+
+// Accents are dropped and letters of every script kept, so "Tiếng Việt"
+// becomes tieng-viet
+function slugText(value) {
+  return String(value)
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase()
+    .trim();
+}
+
+// Turn a tag or series name into its URL slug, so "Content Management" and
+// "content-management" end up as the same tag
+export function slugify(value) {
+  return slugText(value)
+    .replace(/[+#]/g, (symbol) => SLUG_SYMBOLS[symbol])
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Names that only differ in case, accents, spaces, dashes or underscores
+// are spellings of the same tag; any other pair sharing a slug is a clash
+function sameName(a, b) {
+  const key = (value) => slugText(value).replace(/[\s_-]+/g, "");
+  return key(a) === key(b);
+}
+
+// Front matter may give tags as a list or a comma separated string. Tags
+// without a slug are kept so getAllPosts can report them
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  const seen = new Set();
+
+  return list
+    .map((tag) => String(tag).trim())
+    .filter(Boolean)
+    .map((name) => ({ name, slug: slugify(name) }))
+    .filter((tag) => {
+      if (tag.slug && seen.has(tag.slug)) return false;
+      seen.add(tag.slug);
+      return true;
+    });
+}
+
+function normalizeSeries(data) {
+  if (!data.series) return null;
+  const name = String(data.series).trim();
+  const order = Number(data.seriesOrder);
+
+  return {
+    name,
+    slug: slugify(name),
+    order: Number.isFinite(order) ? order : null,
+  };
+}
+
+// Drafts and scheduled posts can be previewed in `next dev` with
+// SHOW_DRAFTS=true; production builds never include them
+const showDrafts =
+  process.env.NODE_ENV !== "production" && process.env.SHOW_DRAFTS === "true";
+
+function getPostStatus(data) {
+  if (data.draft === true) return "draft";
+  if (data.date && new Date(data.date) > new Date()) return "scheduled";
+  if (data.unlisted === true) return "unlisted";
+  return "published";
+}
+
+// Unlisted posts get a page but stay out of listings, feeds and search
+function isVisible(status, { includeUnlisted = false } = {}) {
+  if (status === "published") return true;
+  if (status === "unlisted") return includeUnlisted;
+  return showDrafts;
+}
+
 // Call verification on module load
 verifyPaths();
 
@@ -65,125 +164,437 @@ function getContentDirectory() {
 // Initialize content directory
 const contentDirectory = getContentDirectory();
 
-async function markdownToHtml(markdown) {
-  const result = await remark()
-    .use(remarkGfm)
-    .use(html, {
-      sanitize: false,
-    })
-    .process(markdown);
-  return result.toString();
+// Paths in validation reports are relative to the repository root
+function contentPath(filePath) {
+  return path.relative(path.dirname(contentDirectory), filePath);
 }
 
-export async function getAllPosts() {
-  try {
-    const postsDirectory = path.join(contentDirectory, "posts");
-    console.log('Getting posts from:', postsDirectory);
-
-    if (!fs.existsSync(postsDirectory)) {
-      console.warn("Posts directory not found:", postsDirectory);
-      console.log("Content directory structure:", {
-        contentDir: fs.readdirSync(contentDirectory),
-        cwd: process.cwd(),
-      });
-      return [];
+/*
+ * Every route, feed and metadata function asks for the same posts, so the
+ * content is read, validated and prepared (images copied, git history looked
+ * up) once per process and shared. `next dev` reads it again on every call,
+ * so edits show up without a restart.
+ */
+function once(load) {
+  let loaded = false;
+  let value;
+  return () => {
+    if (process.env.NODE_ENV === "development") return load();
+    if (!loaded) {
+      value = load();
+      loaded = true;
     }
+    return value;
+  };
+}
+
+// Authors are content/authors/<id>.md files; posts refer to them by id
+const loadAuthors = once(function readAuthors() {
+  const authorsDirectory = path.join(contentDirectory, "authors");
+  const authors = new Map();
+  if (!fs.existsSync(authorsDirectory)) return authors;
+
+  const issues = [];
+  fs.readdirSync(authorsDirectory)
+    .filter((filename) => filename.endsWith(".md"))
+    .forEach((filename) => {
+      const filePath = path.join(authorsDirectory, filename);
+      try {
+        const source = fs.readFileSync(filePath, "utf8");
+        const { data, content } = parseContent(
+          source,
+          authorSchema,
+          contentPath(filePath)
+        );
+        const id = filename.replace(/\.md$/, "");
+        authors.set(id, {
+          id,
+          name: data.name,
+          avatar: data.avatar || null,
+          links: data.links || [],
+          bio: alignSource(source, content, [0, 0]),
+          file: contentPath(filePath),
+        });
+      } catch (error) {
+        if (!(error instanceof ContentValidationError)) throw error;
+        issues.push(...error.issues);
+      }
+    });
+
+  if (issues.length) throw new ContentValidationError(issues);
+  return authors;
+});
+
+// `author` and `authors` (an id or a list of ids each) combined, in order,
+// without repeats
+function resolveAuthors(data, authors) {
+  const ids = [data.author, data.authors].flat().filter(Boolean);
+
+  return [...new Set(ids)].map((id) => {
+    const { name, avatar } = authors.get(id);
+    return { id, name, avatar };
+  });
+}
+
+// `toc: false` hides the table of contents, `tocDepth` caps its levels
+function getTocSettings(data) {
+  return {
+    enabled: data.toc !== false,
+    depth: data.tocDepth || 3,
+  };
+}
 
-    const filenames = fs.readdirSync(postsDirectory);
-    console.log('Found post files:', filenames);
+function limitToc(entries, depth) {
+  return entries
+    .filter((entry) => entry.depth <= depth)
+    .map((entry) => ({ ...entry, children: limitToc(entry.children, depth) }));
+}
 
-    if (!filenames.length) {
-      console.warn('No markdown files found in posts directory');
-      return [];
+/**
+ * When a post was created and last changed, and who worked on it: from the
+ * file's git history, or from the front matter (`date`, `lastUpdated` and
+ * the authors) when the site is not built from a git checkout.
+ */
+function postHistory(filePath, data, authors) {
+  const summary = summarizeHistory(getFileHistory(filePath));
+  if (summary) {
+    return {
+      source: "git",
+      created: toIsoDate(summary.created),
+      updated: toIsoDate(summary.updated),
+      contributors: summary.contributors,
+    };
+  }
+
+  return {
+    source: "front-matter",
+    created: toIsoDate(data.date),
+    updated: toIsoDate(data.lastUpdated || data.date),
+    contributors: authors.map((author) => ({ name: author.name, commits: null })),
+  };
+}
+
+const postsDirectory = path.join(contentDirectory, "posts");
+
+const localeCodes = LOCALES.map((locale) => locale.code);
+
+/**
+ * The front matter `image` as a URL. A file next to the post is copied into
+ * the site; posts without one get the configured default image.
+ */
+function postImage(data, filePath, fileContents) {
+  if (!data.image) return siteConfig.defaultImage || null;
+  if (!isLocalImage(data.image)) return data.image;
+
+  const imagePath = resolveImage(data.image, contentPath(filePath));
+  if (!imagePath) {
+    throw new ContentValidationError([
+      {
+        file: contentPath(filePath),
+        line: findKeyLine(fileContents, "image"),
+        severity: "error",
+        message: `image ${data.image} does not exist next to this file`,
+      },
+    ]);
+  }
+  return copyImage(imagePath);
+}
+
+// The post file behind /posts/<slug> in the given language, whatever its
+// status: { filePath, fileContents, data, content, post }
+function findPostSource(slug, locale) {
+  const source = readPosts().find(
+    ({ post }) => post.slug === slug && post.lang === locale
+  );
+
+  if (!source) throw new Error(`No post file for slug: ${slug} (${locale})`);
+  return source;
+}
+
+// The original a `translationOf` field names, by slug
+function findOriginal(posts, post) {
+  return posts.find(
+    (other) => other !== post && !other.translationOf && other.slug === post.translationOf
+  );
+}
+
+// /posts/page and everything under it belong to the paginated listing
+function isListingPath(url, lang) {
+  const prefix = localePath(lang, "/posts/page");
+  return url === prefix || url.startsWith(`${prefix}/`);
+}
+
+// Two files must not claim the same slug or URL in one language, and
+// `translationOf`, `related` and `excludeRelated` have to name existing posts
+function findPostIssues(posts) {
+  const issues = [];
+  const seenUrls = new Map();
+  const seenSlugs = new Map();
+  // Points at the first of `keys` the front matter declares
+  const report = (post, keys, message) => {
+    const source = fs.readFileSync(path.join(path.dirname(contentDirectory), post.file), "utf8");
+    const lines = keys.map((key) => findKeyLine(source, key)).filter((line) => line > 1);
+    issues.push({
+      file: post.file,
+      line: lines[0] || 1,
+      severity: "error",
+      message,
+    });
+  };
+
+  posts.forEach((post) => {
+    const url = postPath(post);
+    const slug = `${post.lang}:${post.slug}`;
+    if (seenSlugs.has(slug)) {
+      report(
+        post,
+        ["slug", "lang"],
+        `slug "${post.slug}" is already used by ${seenSlugs.get(slug).file}`
+      );
+    } else if (seenUrls.has(url)) {
+      report(post, ["slug", "lang"], `${url} is already used by ${seenUrls.get(url).file}`);
+    } else if (isListingPath(url, post.lang)) {
+      report(post, ["slug", "date"], `${url} is reserved for the pages of the posts listing`);
     }
+    seenSlugs.set(slug, post);
+    seenUrls.set(url, post);
+  });
 
-    const posts = filenames
-      .filter((filename) => filename.endsWith(".md"))
-      .map((filename) => {
-        try {
-          const filePath = path.join(postsDirectory, filename);
-          const fileContents = fs.readFileSync(filePath, "utf8");
-          const { data, content } = matter(fileContents);
-
-          const date = data.date
-            ? format(new Date(data.date), "MMMM d, yyyy")
-            : "Unknown date";
-
-          return {
-            slug: filename.replace(/\.md$/, ""),
-            title: data.title || filename.replace(/\.md$/, ""),
-            date: date,
-            excerpt: data.excerpt || "",
-            image: data.image ||
-              "https://images.unsplash.com/photo-1524995997946-a1c2e315a42f?q=80&w=1920&auto=format&fit=crop",
-          };
-        } catch (error) {
-          console.error(`Error processing post ${filename}:`, error);
-          return null;
-        }
-      })
-      .filter(Boolean); // Remove any null entries from errors
+  posts
+    .filter((post) => post.translationOf && !findOriginal(posts, post))
+    .forEach((post) =>
+      report(post, ["translationOf"], `"translationOf" refers to unknown post "${post.translationOf}"`)
+    );
+
+  // Tags and series get pages by slug: each needs one, and two different
+  // names must not share it
+  const seenNames = { tags: new Map(), series: new Map() };
+  posts.forEach((post) =>
+    [
+      ...post.tags.map((tag) => ["tags", "tag", tag]),
+      ...(post.series ? [["series", "series", post.series]] : []),
+    ].forEach(([key, label, { name, slug }]) => {
+      const other = seenNames[key].get(slug);
+      if (!slug) {
+        report(post, [key], `${label} "${name}" needs a letter or digit to build its URL from`);
+      } else if (other && !sameName(other.name, name)) {
+        report(
+          post,
+          [key],
+          `${label} "${name}" has the same URL (/${key}/${slug}) as "${other.name}" in ${other.file}`
+        );
+      } else if (!other) {
+        seenNames[key].set(slug, { name, file: post.file });
+      }
+    })
+  );
+
+  // Slugs of posts in the post's own language or the default one
+  posts.forEach((post) =>
+    ["related", "excludeRelated"].forEach((key) => {
+      const unknown = post[key].filter(
+        (slug) => !linkablePosts(posts, post.lang).some((other) => other.slug === slug)
+      );
+      if (unknown.length) {
+        report(
+          post,
+          [key],
+          `"${key}" refers to unknown ${unknown.length === 1 ? "post" : "posts"} ${unknown
+            .map((slug) => `"${slug}"`)
+            .join(", ")}`
+        );
+      }
+    })
+  );
+
+  return issues;
+}
 
-    return posts.sort((a, b) => {
-      if (!a.date || a.date === "Unknown date") return 1;
-      if (!b.date || b.date === "Unknown date") return -1;
-      return new Date(b.date) - new Date(a.date);
+// Posts with `translationOf` join the translations of the post it names,
+// even when that post's slug differs from its file name
+function linkTranslations(posts) {
+  return posts.map((post) => {
+    const original = post.translationOf && findOriginal(posts, post);
+    return original ? { ...post, translationKey: original.translationKey } : post;
+  });
+}
+
+// Keep every line where it is in the file (front matter and title become
+// blank lines) so MDX errors and sanitizer reports point at the right line
+function alignSource(fileContents, content, [titleStart, titleEnd]) {
+  const offset = fileContents.split("\n").length - content.split("\n").length;
+  const lines = content
+    .split("\n")
+    .map((line, index) => (index >= titleStart && index < titleEnd ? "" : line));
+
+  return "\n".repeat(offset) + lines.join("\n");
+}
+
+/**
+ * Every post file, parsed and validated, as
+ * { filePath, fileContents, data, content, post } where `post` is its
+ * listing entry. Invalid files fail the whole build, all of them listed.
+ */
+const readPosts = once(function readPosts() {
+  console.log('Getting posts from:', postsDirectory);
+
+  if (!fs.existsSync(postsDirectory)) {
+    console.warn("Posts directory not found:", postsDirectory);
+    console.log("Content directory structure:", {
+      contentDir: fs.readdirSync(contentDirectory),
+      cwd: process.cwd(),
     });
-  } catch (error) {
-    console.error("Error getting posts:", error);
     return [];
   }
+
+  const files = listPostFiles(postsDirectory);
+  console.log('Found post files:', files.map((file) => path.relative(postsDirectory, file)));
+
+  if (!files.length) {
+    console.warn('No markdown files found in posts directory');
+    return [];
+  }
+
+  const issues = [];
+  const authors = loadAuthors();
+
+  const sources = files
+    .map((filePath) => {
+      try {
+        const fileContents = fs.readFileSync(filePath, "utf8");
+        const { data, content } = parseContent(
+          fileContents,
+          postSchema,
+          contentPath(filePath),
+          { authors: [...authors.keys()], locales: localeCodes }
+        );
+        const { slug, lang, translationKey } = postIdentity(filePath, data, postsDirectory);
+
+        const post = {
+          slug,
+          lang,
+          translationKey,
+          translationOf: data.translationOf || null,
+          related: data.related || [],
+          excludeRelated: data.excludeRelated || [],
+          file: contentPath(filePath),
+          title: data.title || slug,
+          date: formatDate(data.date, lang),
+          isoDate: toIsoDate(data.date),
+          excerpt: data.excerpt || "",
+          image: postImage(data, filePath, fileContents),
+          authors: resolveAuthors(data, authors),
+          // Last change, from git or the front matter (for the sitemap)
+          updated: postHistory(filePath, data, []).updated,
+          tags: normalizeTags(data.tags),
+          series: normalizeSeries(data),
+          status: getPostStatus(data),
+        };
+        return { filePath, fileContents, data, content, post };
+      } catch (error) {
+        // Invalid posts are collected so one build lists all of them; any
+        // other failure stops it, a broken post is never left out
+        if (!(error instanceof ContentValidationError)) {
+          throw new Error(`Could not read ${contentPath(filePath)}: ${error.message}`, {
+            cause: error,
+          });
+        }
+        issues.push(...error.issues);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  issues.push(...findPostIssues(sources.map((source) => source.post)));
+
+  // Broken front matter fails the build instead of silently dropping posts
+  if (issues.length) {
+    throw new ContentValidationError(issues);
+  }
+
+  const posts = linkTranslations(sources.map((source) => source.post));
+  return sources.map((source, index) => ({ ...source, post: posts[index] }));
+});
+
+/**
+ * Posts in one language, newest first. `locale` defaults to the default
+ * language; pass `locale: null` for every language.
+ */
+export async function getAllPosts({ includeUnlisted = false, locale = DEFAULT_LOCALE } = {}) {
+  return readPosts()
+    .map((source) => source.post)
+    .filter((post) => isVisible(post.status, { includeUnlisted }))
+    .filter((post) => !locale || post.lang === locale)
+    .map(({ file, translationOf, related, excludeRelated, ...post }) => post)
+    .sort((a, b) => {
+      if (!a.isoDate) return 1;
+      if (!b.isoDate) return -1;
+      return b.isoDate.localeCompare(a.isoDate);
+    });
 }
 
-export async function getPostBySlug(slug) {
+export async function getPostBySlug(slug, { locale = DEFAULT_LOCALE } = {}) {
   try {
-    const cleanSlug = slug.replace(/\.md$/, '')
-    
-    const filePath = path.join(contentDirectory, "posts", `${cleanSlug}.md`);
-    const fileContents = fs.readFileSync(filePath, "utf8");
-    const { data, content } = matter(fileContents);
+    const { filePath, fileContents, data, content, post } = findPostSource(slug, locale);
+    const isMdx = filePath.endsWith(".mdx");
+    const { lang, status } = post;
 
-    const date = data.date
-      ? format(new Date(data.date), "MMMM d, yyyy")
-      : "Unknown date";
+    if (!isVisible(status, { includeUnlisted: true })) {
+      throw new Error(`Post is not published (${status}): ${slug}`);
+    }
+
+    const posts = await getAllPosts({ includeUnlisted: true, locale: null });
 
     // Remove title block from content
     const lines = content.split('\n')
     const titleStartIndex = lines.findIndex(line => line.trim().startsWith('#'))
     
     // Process content to remove title
-    let processedContent = content
+    let titleRange = [0, 0]
     if (titleStartIndex >= 0) {
       // Find the first empty line after the title
-      const titleEndIndex = lines.findIndex((line, index) => 
+      const blankIndex = lines.findIndex((line, index) => 
         index > titleStartIndex && line.trim() === ''
       )
       
       // If no empty line found, just remove the first line
-      const contentLines = titleEndIndex > titleStartIndex
-        ? [...lines.slice(0, titleStartIndex), ...lines.slice(titleEndIndex)]
-        : [...lines.slice(0, titleStartIndex), ...lines.slice(titleStartIndex + 1)]
-      
-      processedContent = contentLines.join('\n').trim()
+      const titleEndIndex = blankIndex > titleStartIndex ? blankIndex : titleStartIndex + 1
+      titleRange = [titleStartIndex, titleEndIndex]
     }
 
-    // Convert markdown to HTML
-    const contentHtml = await markdownToHtml(processedContent);
+    // MDX posts are rendered by compileMDX on the post page; the HTML
+    // version here serves feeds, search and the table of contents
+    const alignedContent = alignSource(fileContents, content, titleRange);
+    const render = isMdx ? mdxToHtml : markdownToHtml;
+    const { html: contentHtml, toc } = await render(alignedContent, {
+      file: contentPath(filePath),
+      posts: linkablePosts(posts, lang),
+    });
+    const tocSettings = getTocSettings(data);
 
     return {
       content: contentHtml,
+      format: isMdx ? "mdx" : "md",
+      source: isMdx ? alignedContent : null,
+      file: contentPath(filePath),
+      toc: tocSettings.enabled ? limitToc(toc, tocSettings.depth) : [],
       metadata: {
-        title: data.title || slug,
-        date: date,
-        excerpt: data.excerpt || "",
-        image:
-          data.image ||
-          "https://images.unsplash.com/photo-1524995997946-a1c2e315a42f?q=80&w=1920&auto=format&fit=crop",
-        author: data.author || "Anonymous",
-        tags: data.tags || [],
+        title: post.title,
+        lang,
+        translationKey: post.translationKey,
+        date: post.date,
+        isoDate: post.isoDate,
+        excerpt: post.excerpt,
+        image: post.image,
+        authors: post.authors,
+        tags: post.tags,
+        series: post.series,
+        status,
+        history: postHistory(filePath, data, post.authors),
       },
     };
   } catch (error) {
+    if (error instanceof ContentValidationError) throw error;
     console.error("Error getting post:", error);
     throw new Error(`Post not found: ${slug}`);
   }
@@ -193,16 +604,25 @@ export async function getPageContent(filename) {
   try {
     const filePath = path.join(contentDirectory, "pages", filename);
     const fileContents = fs.readFileSync(filePath, "utf8");
-    const { data, content } = matter(fileContents);
+    const { data, content } = parseContent(
+      fileContents,
+      pageSchema,
+      contentPath(filePath)
+    );
 
-    // Remove title from content by removing first line if it starts with #
+    // Remove title from content by blanking the first line if it starts with #
     const lines = content.split('\n')
-    const contentWithoutTitle = lines[0].startsWith('#') 
-      ? lines.slice(1).join('\n').trim()
-      : content.trim()
+    const contentWithoutTitle = alignSource(
+      fileContents,
+      content,
+      lines[0].startsWith('#') ? [0, 1] : [0, 0]
+    )
 
     // Convert markdown to HTML
-    const contentHtml = await markdownToHtml(contentWithoutTitle);
+    const { html: contentHtml } = await markdownToHtml(contentWithoutTitle, {
+      file: contentPath(filePath),
+      posts: await getLinkablePosts(),
+    });
 
     return {
       content: contentHtml,
@@ -210,10 +630,675 @@ export async function getPageContent(filename) {
         title: data.title || "",
         description: data.description || "",
         lastUpdated: data.lastUpdated || "",
+        layout: data.layout || "default",
       },
     };
   } catch (error) {
+    if (error instanceof ContentValidationError) throw error;
     console.error("Error getting page:", error);
     throw new Error(`Page not found: ${filename}`);
   }
 }
+
+/**
+ * The plain text of a post for the search index, read from its markdown
+ * rather than the rendered page (see markdownToText).
+ */
+export async function getPostText(slug, { locale = DEFAULT_LOCALE } = {}) {
+  const { filePath, content } = findPostSource(slug, locale);
+  const posts = await getAllPosts({ includeUnlisted: true, locale: null });
+
+  return markdownToText(content, {
+    mdx: filePath.endsWith(".mdx"),
+    posts: linkablePosts(posts, locale),
+  });
+}
+
+// Posts in `lang` can link to and embed posts by slug: their own language
+// first, then the default one
+function linkablePosts(posts, lang) {
+  return [
+    ...posts.filter((post) => post.lang === lang),
+    ...posts.filter((post) => post.lang === DEFAULT_LOCALE && lang !== DEFAULT_LOCALE),
+  ];
+}
+
+export async function getLinkablePosts(lang = DEFAULT_LOCALE) {
+  return linkablePosts(await getAllPosts({ includeUnlisted: true, locale: null }), lang);
+}
+
+/**
+ * Every language a post is available in, itself included, in the order of
+ * the configured locales. Used for the language switcher and hreflang links.
+ */
+export async function getTranslations(translationKey) {
+  const posts = await getAllPosts({ includeUnlisted: true, locale: null });
+
+  return posts
+    .filter((post) => post.translationKey === translationKey)
+    .map((post) => ({
+      lang: post.lang,
+      label: getLocale(post.lang).label,
+      title: post.title,
+      path: postPath(post),
+    }))
+    .sort((a, b) => localeCodes.indexOf(a.lang) - localeCodes.indexOf(b.lang));
+}
+
+export async function getAllTags() {
+  const posts = await getAllPosts();
+  const tags = new Map();
+
+  posts.forEach((post) => {
+    post.tags.forEach(({ name, slug }) => {
+      // The first spelling we meet becomes the display name
+      const tag = tags.get(slug) || { name, slug, count: 0 };
+      tag.count += 1;
+      tags.set(slug, tag);
+    });
+  });
+
+  return [...tags.values()].sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+  );
+}
+
+export async function getPostsByTag(tag) {
+  const slug = slugify(tag);
+  const posts = await getAllPosts();
+  return posts.filter((post) => post.tags.some((t) => t.slug === slug));
+}
+
+export async function getAllAuthors() {
+  const posts = await getAllPosts({ locale: null });
+
+  return [...loadAuthors().values()]
+    .map(({ id, name, avatar, links }) => ({
+      id,
+      name,
+      avatar,
+      links,
+      count: posts.filter((post) => post.authors.some((a) => a.id === id)).length,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// One author with their bio rendered, or null for an unknown id
+export async function getAuthor(id) {
+  const author = loadAuthors().get(id);
+  if (!author) return null;
+
+  const { html } = await markdownToHtml(author.bio, { file: author.file });
+  const { bio, file, ...profile } = author;
+  return { ...profile, bio: html };
+}
+
+// Author pages list posts in every language
+export async function getPostsByAuthor(id) {
+  const posts = await getAllPosts({ locale: null });
+  return posts.filter((post) => post.authors.some((a) => a.id === id));
+}
+
+// Series parts are ordered by seriesOrder, falling back to publish date
+function sortSeriesPosts(posts) {
+  return [...posts].sort((a, b) => {
+    const aOrder = a.series.order ?? Infinity;
+    const bOrder = b.series.order ?? Infinity;
+    if (aOrder !== bOrder) return aOrder - bOrder;
+    return (a.isoDate || "").localeCompare(b.isoDate || "");
+  });
+}
+
+export async function getAllSeries({ locale = DEFAULT_LOCALE } = {}) {
+  const posts = await getAllPosts({ locale });
+  const series = new Map();
+
+  posts
+    .filter((post) => post.series)
+    .forEach((post) => {
+      const entry = series.get(post.series.slug) || {
+        name: post.series.name,
+        slug: post.series.slug,
+        posts: [],
+      };
+      entry.posts.push(post);
+      series.set(post.series.slug, entry);
+    });
+
+  return [...series.values()].map((entry) => ({
+    ...entry,
+    posts: sortSeriesPosts(entry.posts),
+  }));
+}
+
+export async function getSeries(slug, { locale = DEFAULT_LOCALE } = {}) {
+  const series = await getAllSeries({ locale });
+  return series.find((entry) => entry.slug === slugify(slug)) || null;
+}
+
+/**
+ * Every revision of a post, newest first, with what it changed, for
+ * /posts/<slug>/history: { post, history, revisions } where `post` is the
+ * post's listing entry, `history` its created/updated summary (see
+ * getPostBySlug) and each revision carries its diff as `hunks`. Without git
+ * there are no revisions and the summary comes from the front matter.
+ */
+export async function getPostHistory(slug, { locale = DEFAULT_LOCALE } = {}) {
+  const posts = await getAllPosts({ includeUnlisted: true, locale });
+  const post = posts.find((entry) => entry.slug === slug);
+  if (!post) throw new Error(`Post not found: ${slug}`);
+
+  const { filePath, data } = findPostSource(slug, locale);
+  const revisions = getFileHistory(filePath);
+
+  return {
+    post,
+    history: postHistory(filePath, data, post.authors),
+    revisions: revisions.map((revision, index) => ({
+      ...revision,
+      hunks: getRevisionDiff(revisions, index),
+    })),
+  };
+}
+
+/**
+ * Previous/next links for a post: its neighbours within its series, or the
+ * chronologically older/newer posts for posts outside a series, both within
+ * the post's language.
+ */
+export async function getAdjacentPosts(slug, { locale = DEFAULT_LOCALE } = {}) {
+  const posts = await getAllPosts({ locale });
+  const post = posts.find((p) => p.slug === slug);
+  if (!post) return { previous: null, next: null, series: null };
+
+  if (post.series) {
+    const series = await getSeries(post.series.slug, { locale });
+    const index = series.posts.findIndex((p) => p.slug === slug);
+    return {
+      previous: series.posts[index - 1] || null,
+      next: series.posts[index + 1] || null,
+      series,
+    };
+  }
+
+  // getAllPosts is newest first
+  const index = posts.indexOf(post);
+  return {
+    previous: posts[index + 1] || null,
+    next: posts[index - 1] || null,
+    series: null,
+  };
+}
+
+/**
+ * One page of the posts listing in a language, newest first:
+ * { posts, page, pageCount } with `postsPerPage` posts a page. Page 1 is
+ * /posts and the others /posts/page/<n>; past the last page `posts` is empty.
+ */
+export async function getPostsPage(page = 1, { locale = DEFAULT_LOCALE } = {}) {
+  const posts = await getAllPosts({ locale });
+  const size = siteConfig.postsPerPage;
+
+  return {
+    posts: posts.slice((page - 1) * size, page * size),
+    page,
+    pageCount: Math.max(1, Math.ceil(posts.length / size)),
+  };
+}
+
+/**
+ * Posts in one language by year and then month, newest first, for /archive:
+ * years as { year, count, months } and months as { month, count, posts },
+ * with `month` as yyyy-MM. Undated posts are left out.
+ */
+export async function getArchive({ locale = DEFAULT_LOCALE } = {}) {
+  const posts = await getAllPosts({ locale });
+  const years = [];
+
+  // getAllPosts is newest first, so entries are created in order
+  posts
+    .filter((post) => post.isoDate)
+    .forEach((post) => {
+      const year = post.isoDate.slice(0, 4);
+      const month = post.isoDate.slice(0, 7);
+      let yearEntry = years.find((entry) => entry.year === year);
+      if (!yearEntry) {
+        yearEntry = { year, count: 0, months: [] };
+        years.push(yearEntry);
+      }
+      let monthEntry = yearEntry.months.find((entry) => entry.month === month);
+      if (!monthEntry) {
+        monthEntry = { month, count: 0, posts: [] };
+        yearEntry.months.push(monthEntry);
+      }
+      yearEntry.count += 1;
+      monthEntry.count += 1;
+      monthEntry.posts.push(post);
+    });
+
+  return years;
+}
+
+// One year of the archive, or null when no post was published in it
+export async function getArchiveYear(year, { locale = DEFAULT_LOCALE } = {}) {
+  const archive = await getArchive({ locale });
+  return archive.find((entry) => entry.year === String(year)) || null;
+}
+
+const relatedIndexes = new Map();
+
+// Similarity of the posts in one language, scored once per build from their
+// front matter and text; listed and unlisted posts both get suggestions
+async function getRelatedIndex(locale) {
+  if (!relatedIndexes.has(locale)) {
+    const posts = await getAllPosts({ includeUnlisted: true, locale });
+    const sources = new Map(
+      readPosts()
+        .filter(({ post }) => post.lang === locale)
+        .map(({ post, data, content }) => [post.slug, { data, content }])
+    );
+
+    relatedIndexes.set(locale, {
+      sources,
+      related: buildRelatedIndex(
+        posts.map((post) => ({
+          id: post.slug,
+          title: post.title,
+          tags: post.tags.map((tag) => tag.slug),
+          body: sources.get(post.slug)?.content,
+        }))
+      ),
+    });
+  }
+  return relatedIndexes.get(locale);
+}
+
+/**
+ * Posts to suggest after a post: those in its `related` field, in that
+ * order, then its best matches by tags, title and text, up to `limit` in
+ * all (pinned posts are kept even past it). Posts in `excludeRelated` and
+ * unlisted posts are never suggested. Pins may name posts in the default
+ * language, like links do.
+ */
+export async function getRelatedPosts(
+  slug,
+  { locale = DEFAULT_LOCALE, limit = siteConfig.relatedPosts } = {}
+) {
+  if (!limit) return [];
+
+  const { sources, related } = await getRelatedIndex(locale);
+  const source = sources.get(slug);
+  if (!source) return [];
+
+  const posts = linkablePosts(await getAllPosts({ locale: null }), locale);
+  const excluded = new Set([slug, ...(source.data.excludeRelated || [])]);
+  const pinned = (source.data.related || [])
+    .map((other) => posts.find((post) => post.slug === other))
+    .filter((post) => post && !excluded.has(post.slug));
+  const suggested = related(slug)
+    .filter((other) => !excluded.has(other) && !pinned.some((post) => post.slug === other))
+    .map((other) => posts.find((post) => post.slug === other && post.lang === locale))
+    .filter(Boolean);
+
+  return [...pinned, ...suggested].slice(0, Math.max(limit, pinned.length));
+}
+
+// Top-level routes owned by the app, language prefixes included; a page
+// with one of these paths would never be reachable
+const RESERVED_PAGE_PATHS = [
+  "posts",
+  "tags",
+  "series",
+  "authors",
+  "archive",
+  ...LOCALES.slice(1).map((locale) => locale.code),
+];
+
+/**
+ * Every markdown file under content/pages, nested folders included.
+ * `guides/setup.md` is served at /guides/setup and `guides/index.md` at
+ * /guides.
+ */
+export async function getAllPages() {
+  const pagesDirectory = path.join(contentDirectory, "pages");
+  if (!fs.existsSync(pagesDirectory)) return [];
+
+  const issues = [];
+  const pages = walkMarkdownFiles(pagesDirectory)
+    .map((filePath) => {
+      try {
+        const fileContents = fs.readFileSync(filePath, "utf8");
+        const { data } = parseContent(
+          fileContents,
+          pageSchema,
+          contentPath(filePath)
+        );
+
+        const filename = path
+          .relative(pagesDirectory, filePath)
+          .split(path.sep)
+          .join("/");
+        const slug = filename.replace(/\.md$/, "").split("/");
+        // index.md stands for its folder
+        if (slug[slug.length - 1] === "index") slug.pop();
+
+        return {
+          filename,
+          slug,
+          path: `/${slug.join("/")}`,
+          title: data.title,
+          nav: data.nav === true,
+          navOrder: data.navOrder ?? 100,
+          navLabel: data.navLabel || data.title,
+        };
+      } catch (error) {
+        // As for posts: invalid pages are all listed, anything else stops
+        // the build rather than leaving the page out
+        if (!(error instanceof ContentValidationError)) {
+          throw new Error(`Could not read ${contentPath(filePath)}: ${error.message}`, {
+            cause: error,
+          });
+        }
+        issues.push(...error.issues);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (issues.length) {
+    throw new ContentValidationError(issues);
+  }
+
+  const reserved = pages.find(
+    (page) => !page.slug.length || RESERVED_PAGE_PATHS.includes(page.slug[0])
+  );
+  if (reserved) {
+    throw new Error(
+      `content/pages/${reserved.filename} would be served at ${reserved.path}, which is reserved by the site`
+    );
+  }
+
+  return pages;
+}
+
+export async function getPageBySlug(slug) {
+  const pages = await getAllPages();
+  const page = pages.find((p) => p.slug.join("/") === slug.join("/"));
+  if (!page) throw new Error(`Page not found: /${slug.join("/")}`);
+
+  return { ...(await getPageContent(page.filename)), path: page.path };
+}
+
+// Links from markvault.config.js sit between the pages according to their
+// navOrder
+export async function getNavigation() {
+  const pages = await getAllPages();
+
+  return [
+    ...siteConfig.nav.map(({ href, label, order }) => ({ href, label, order })),
+    ...pages
+      .filter((page) => page.nav)
+      .map((page) => ({
+        href: page.path,
+        label: page.navLabel,
+        order: page.navOrder,
+      })),
+  ].sort((a, b) => a.order - b.order);
+}
+
+// Every path the build writes, for checking links in content
+const getSitePaths = once(async function readSitePaths() {
+  const [posts, pages, tags, series, authors, archive, listings] = await Promise.all([
+    getAllPosts({ includeUnlisted: true, locale: null }),
+    getAllPages(),
+    getAllTags(),
+    getAllSeries(),
+    getAllAuthors(),
+    getArchive(),
+    Promise.all(LOCALES.map(({ code }) => getPostsPage(1, { locale: code }))),
+  ]);
+  const feeds = ["/feed.xml", "/atom.xml", "/feed.json"];
+
+  return new Set([
+    "/",
+    "/tags",
+    "/authors",
+    "/archive",
+    "/sitemap.xml",
+    "/robots.txt",
+    "/search-index.json",
+    "/content-manifest.json",
+    ...LOCALES.flatMap(({ code }, index) => [
+      ...Array.from({ length: listings[index].pageCount }, (_, page) =>
+        postsPagePath(page + 1, code)
+      ),
+      ...feeds.map((feed) => localePath(code, feed)),
+    ]),
+    ...archive.map((entry) => `/archive/${entry.year}`),
+    ...posts.flatMap((post) => [postPath(post), `${postPath(post)}/history`]),
+    ...pages.map((page) => page.path),
+    ...tags.flatMap((tag) => [
+      `/tags/${tag.slug}`,
+      ...feeds.map((feed) => `/tags/${tag.slug}${feed}`),
+    ]),
+    ...series.map((entry) => `/series/${entry.slug}`),
+    ...authors.map((author) => `/authors/${author.id}`),
+  ]);
+});
+
+// Files in public/ are served as they are
+function isPublicFile(sitePath) {
+  const publicDirectory = path.join(process.cwd(), "public");
+  const filePath = path.join(publicDirectory, sitePath);
+  return (
+    filePath.startsWith(publicDirectory + path.sep) &&
+    fs.existsSync(filePath) &&
+    fs.statSync(filePath).isFile()
+  );
+}
+
+// Posts and pages as link sources: where they live, what they say and the
+// old URLs they are still reachable at
+const getContentSources = once(async function readContentSources() {
+  const posts = readPosts()
+    .filter(({ post }) => isVisible(post.status, { includeUnlisted: true }))
+    .map(({ filePath, fileContents, data, content, post }) => ({
+      file: post.file,
+      mdx: filePath.endsWith(".mdx"),
+      lang: post.lang,
+      title: post.title,
+      path: postPath(post),
+      aliases: data.aliases || [],
+      image: data.image ? { url: data.image, line: findKeyLine(fileContents, "image") } : null,
+      body: alignSource(fileContents, content, [0, 0]),
+    }));
+
+  const pages = (await getAllPages()).map((page) => {
+    const filePath = path.join(contentDirectory, "pages", page.filename);
+    const fileContents = fs.readFileSync(filePath, "utf8");
+    const { data, content } = parseContent(fileContents, pageSchema, contentPath(filePath));
+
+    return {
+      file: contentPath(filePath),
+      mdx: false,
+      lang: DEFAULT_LOCALE,
+      title: page.title,
+      path: page.path,
+      aliases: data.aliases || [],
+      image: null,
+      body: alignSource(fileContents, content, [0, 0]),
+    };
+  });
+
+  return [...posts, ...pages];
+});
+
+// Where an alias is served: the post routes take /posts/... and
+// /<locale>/posts/... (their `locale`), the page route everything else
+// outside the app's own sections (locale null). `segments` are the route
+// params; undefined means no route can serve it.
+function aliasRoute(alias) {
+  const segments = alias.split("/").slice(1);
+  const prefixed = LOCALES.slice(1).some((locale) => locale.code === segments[0]);
+
+  if (segments[0] === "posts" && segments.length > 1) {
+    return { locale: DEFAULT_LOCALE, segments: segments.slice(1) };
+  }
+  if (prefixed && segments[1] === "posts" && segments.length > 2) {
+    return { locale: segments[0], segments: segments.slice(2) };
+  }
+  if (!RESERVED_PAGE_PATHS.includes(segments[0])) return { locale: null, segments };
+  return { locale: null };
+}
+
+/**
+ * The `aliases` of posts and pages: old URLs that get a static page
+ * redirecting to where the content lives now, as
+ * { from, to, title, locale, segments } (see aliasRoute). An alias must not
+ * be a real page, another alias or a path inside the app's own sections;
+ * any of those fail the build with the file and line.
+ */
+export async function getAliases() {
+  return loadAliases();
+}
+
+const loadAliases = once(async function readAliases() {
+  const [sources, sitePaths] = await Promise.all([getContentSources(), getSitePaths()]);
+  const issues = [];
+  const aliases = new Map();
+
+  sources.forEach((source) => {
+    source.aliases.forEach((alias) => {
+      const from = normalizeSitePath(alias);
+      const route = aliasRoute(from);
+      const fail = (message) => {
+        const fileContents = fs.readFileSync(
+          path.join(path.dirname(contentDirectory), source.file),
+          "utf8"
+        );
+        issues.push({
+          file: source.file,
+          line: findKeyLine(fileContents, "aliases"),
+          severity: "error",
+          message: `alias ${alias} ${message}`,
+        });
+      };
+
+      if (sitePaths.has(from)) {
+        fail(from === source.path ? "is the current URL" : "is already a page on the site");
+      } else if (aliases.has(from)) {
+        fail(`is already an alias in ${aliases.get(from).file}`);
+      } else if (!route.segments) {
+        fail(`is inside /${from.split("/")[1]}, which is reserved by the site`);
+      } else {
+        aliases.set(from, {
+          from,
+          to: source.path,
+          title: source.title,
+          file: source.file,
+          ...route,
+        });
+      }
+    });
+  });
+
+  if (issues.length) throw new ContentValidationError(issues);
+  return [...aliases.values()].map(({ file, ...alias }) => alias);
+});
+
+/**
+ * Links between posts and pages, read from their sources: who links to each
+ * path (the "Linked from" list on post pages) and every link to a post, page
+ * or file that does not exist, as issues with file and line. Wiki links that
+ * match no post count as broken too. Images served from other hosts are
+ * listed as `external` warnings. Every post page asks for its backlinks,
+ * so the graph is built once per build.
+ */
+export async function getLinkGraph() {
+  return loadLinkGraph();
+}
+
+const loadLinkGraph = once(async function readLinkGraph() {
+  const [sources, sitePaths, posts, aliases] = await Promise.all([
+    getContentSources(),
+    getSitePaths(),
+    getAllPosts({ includeUnlisted: true, locale: null }),
+    getAliases(),
+  ]);
+  // Links to an old URL still work and count for the page it moved to
+  const redirects = new Map(aliases.map((alias) => [alias.from, alias.to]));
+  const severity = siteConfig.brokenLinks === "error" ? "error" : "warning";
+  const backlinks = new Map();
+  const broken = [];
+  const external = [];
+
+  for (const source of sources) {
+    const { links, images, unresolved } = await scanLinks(source.body, {
+      file: source.file,
+      mdx: source.mdx,
+      posts: linkablePosts(posts, source.lang),
+    });
+
+    [source.image, ...images]
+      .filter((image) => image && isExternalImage(image.url))
+      .forEach(({ url, line }) =>
+        external.push({
+          file: source.file,
+          line,
+          severity: "warning",
+          message: `image ${url} is hosted elsewhere; save it next to the content to keep it with the site`,
+        })
+      );
+
+    unresolved.forEach(({ slug, line }) =>
+      broken.push({
+        file: source.file,
+        line,
+        severity,
+        message: `[[${slug}]] does not match any post`,
+      })
+    );
+
+    links
+      .filter(({ url }) => isSitePath(url))
+      .forEach(({ url, line }) => {
+        const linked = normalizeSitePath(url);
+        const target = redirects.get(linked) || linked;
+        if (!sitePaths.has(target) && !isPublicFile(target)) {
+          broken.push({
+            file: source.file,
+            line,
+            severity,
+            message: `${url} does not match any post, page or file`,
+          });
+          return;
+        }
+
+        const linkedFrom = backlinks.get(target) || [];
+        if (target !== source.path && !linkedFrom.some((entry) => entry.path === source.path)) {
+          backlinks.set(target, [...linkedFrom, { title: source.title, path: source.path }]);
+        }
+      });
+  }
+
+  return { backlinks, broken, external };
+});
+
+// Posts and pages that link to the given site path
+export async function getBacklinks(sitePath) {
+  const { backlinks } = await getLinkGraph();
+  return backlinks.get(sitePath) || [];
+}
+
+/**
+ * Report broken links and external images in content once per build. Broken
+ * links are warnings unless markvault.config.js sets `brokenLinks: 'error'`,
+ * which fails the build with the full list; external images always warn.
+ */
+export async function checkLinks() {
+  const { broken, external } = await getLinkGraph();
+  if (broken.some((issue) => issue.severity === "error")) {
+    throw new ContentValidationError(broken);
+  }
+  [...broken, ...external].forEach((issue) => console.warn(formatIssue(issue)));
+}
@@ -0,0 +1,207 @@
+import { disallowedHtml, isTrustedFile } from "./sanitize.js";
+import { ContentValidationError } from "./schema.js";
+import { postPath } from "./site.js";
+
+/*
+ * MDX posts may only use this curated set of components (plus lowercase
+ * HTML elements allowed by sanitize.config.js). The React implementations
+ * live in components/mdx; anything else fails the build.
+ */
+export const MDX_COMPONENTS = ["Callout", "Tabs", "Tab", "Figure", "PostCard"];
+
+const JSX_ELEMENT = new Set(["mdxJsxFlowElement", "mdxJsxTextElement"]);
+
+function walk(node, callback) {
+  callback(node);
+  if (node.children) node.children.forEach((child) => walk(child, callback));
+}
+
+function attributesOf(node) {
+  return Object.fromEntries(
+    node.attributes
+      .filter((attribute) => attribute.type === "mdxJsxAttribute")
+      .map((attribute) => [attribute.name, attribute.value ?? true])
+  );
+}
+
+/**
+ * Reject anything outside the whitelist: unknown components, import/export
+ * statements, JavaScript expressions and HTML the sanitizer would strip from
+ * markdown. MDX is rendered by React rather than sanitized, so these are
+ * errors here. Problems are reported together, with the file and line, as a
+ * ContentValidationError.
+ */
+export function remarkMdxWhitelist() {
+  return (tree, file) => {
+    const issues = [];
+    const report = (node, message) =>
+      issues.push({
+        file: file.path || "<mdx>",
+        line: node.position?.start.line ?? 1,
+        severity: "error",
+        message,
+      });
+
+    // Markdown links and images in MDX are not sanitized as HTML, so unsafe
+    // URLs (javascript: and the like) are caught here
+    const checkUrl = (node, tagName, property, url) =>
+      disallowedHtml(tagName, { [property]: url })
+        .filter((message) => message.startsWith("unsafe URL"))
+        .forEach((message) => report(node, `${message} is not allowed in MDX posts`));
+
+    walk(tree, (node) => {
+      if (node.type === "link" || node.type === "definition") {
+        checkUrl(node, "a", "href", node.url);
+      } else if (node.type === "image") {
+        checkUrl(node, "img", "src", node.url);
+      } else if (node.type === "mdxjsEsm") {
+        report(node, "import/export statements are not allowed in MDX posts");
+      } else if (node.type === "mdxFlowExpression" || node.type === "mdxTextExpression") {
+        report(node, "JavaScript expressions ({...}) are not allowed in MDX posts");
+      } else if (JSX_ELEMENT.has(node.type)) {
+        const name = node.name;
+        if (name && !/^[a-z]/.test(name) && !MDX_COMPONENTS.includes(name)) {
+          report(
+            node,
+            `<${name}> is not an allowed MDX component (allowed: ${MDX_COMPONENTS.join(", ")})`
+          );
+        }
+
+        node.attributes.forEach((attribute) => {
+          if (
+            attribute.type !== "mdxJsxAttribute" ||
+            (attribute.value && typeof attribute.value !== "string")
+          ) {
+            report(node, `attributes on <${name || ""}> must be plain strings`);
+          }
+        });
+
+        // Component props that end up as links or images, such as <Figure src>
+        if (MDX_COMPONENTS.includes(name)) {
+          const { href, src } = attributesOf(node);
+          if (typeof href === "string") checkUrl(node, "a", "href", href);
+          if (typeof src === "string") checkUrl(node, "img", "src", src);
+        }
+
+        if (name && /^[a-z]/.test(name) && !isTrustedFile(file.path)) {
+          const { class: classAttribute, ...attributes } = attributesOf(node);
+          const properties = classAttribute
+            ? { ...attributes, className: classAttribute }
+            : attributes;
+          disallowedHtml(name, properties).forEach((message) =>
+            report(node, `${message} is not allowed in MDX posts`)
+          );
+        }
+      }
+    });
+
+    if (issues.length) throw new ContentValidationError(issues);
+  };
+}
+
+function paragraph(children) {
+  return { type: "paragraph", children };
+}
+
+function strong(value) {
+  return { type: "strong", children: [{ type: "text", value }] };
+}
+
+// Plain HTML stand-ins for the components, used where React cannot render
+const staticRenderers = {
+  Callout(node, attributes) {
+    if (attributes.title) node.children.unshift(paragraph([strong(attributes.title)]));
+    return {
+      hName: "aside",
+      hProperties: { className: ["callout", `callout-${attributes.type || "note"}`] },
+    };
+  },
+  Tabs() {
+    return { hName: "div", hProperties: { className: ["tabs"] } };
+  },
+  Tab(node, attributes) {
+    node.children.unshift(paragraph([strong(attributes.label || "")]));
+    return { hName: "section", hProperties: { className: ["tab"] } };
+  },
+  Figure(node, attributes) {
+    return {
+      hName: "figure",
+      hChildren: [
+        {
+          type: "element",
+          tagName: "img",
+          properties: { src: attributes.src, alt: attributes.alt || "" },
+          children: [],
+        },
+        ...(attributes.caption
+          ? [
+              {
+                type: "element",
+                tagName: "figcaption",
+                properties: {},
+                children: [{ type: "text", value: attributes.caption }],
+              },
+            ]
+          : []),
+      ],
+    };
+  },
+  PostCard(node, attributes, { posts, file }) {
+    const post = posts.find((p) => p.slug === attributes.slug);
+    if (!post) {
+      throw new ContentValidationError([
+        {
+          file: file.path || "<mdx>",
+          line: node.position?.start.line ?? 1,
+          severity: "error",
+          message: `<PostCard slug="${attributes.slug}"> does not match any post`,
+        },
+      ]);
+    }
+
+    node.children = [];
+    return {
+      hName: "p",
+      hProperties: { className: ["post-card-link"] },
+      hChildren: [
+        {
+          type: "element",
+          tagName: "a",
+          properties: { href: postPath(post) },
+          children: [{ type: "text", value: post.title }],
+        },
+      ],
+    };
+  },
+};
+
+/**
+ * Turn whitelisted JSX into plain HTML so an MDX tree can go through the
+ * regular remark-rehype pipeline.
+ */
+export function remarkMdxStatic({ posts = [] } = {}) {
+  return (tree, file) => {
+    walk(tree, (node) => {
+      if (!JSX_ELEMENT.has(node.type)) return;
+
+      const attributes = attributesOf(node);
+      const renderer = staticRenderers[node.name];
+
+      // Marked as checked JSX for rehypeSanitizeMdx
+      if (renderer) {
+        const data = renderer(node, attributes, { posts, file });
+        node.data = { ...data, hProperties: { ...data.hProperties, dataMdxJsx: "" } };
+      } else if (node.name) {
+        const { className, class: classAttribute, ...properties } = attributes;
+        node.data = {
+          hName: node.name,
+          hProperties: {
+            ...properties,
+            className: className || classAttribute,
+            dataMdxJsx: "",
+          },
+        };
+      }
+    });
+  };
+}
@@ -0,0 +1,157 @@
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import remarkMdx from "remark-mdx";
+import remarkRehype from "remark-rehype";
+import rehypePrettyCode from "rehype-pretty-code";
+import rehypeStringify from "rehype-stringify";
+import rehypeSlug from "rehype-slug";
+import rehypeAutolinkHeadings from "rehype-autolink-headings";
+import {
+  transformerNotationDiff,
+  transformerNotationHighlight,
+} from "@shikijs/transformers";
+import rehypeCopyButton from "./plugins/rehype-copy-button.js";
+import rehypeToc from "./plugins/rehype-toc.js";
+import rehypeMath from "./plugins/rehype-math.js";
+import rehypeMermaid from "./plugins/rehype-mermaid.js";
+import rehypeImages from "./plugins/rehype-images.js";
+import { rehypeBasePath, remarkWikiLinks } from "./links.js";
+import { remarkMdxStatic, remarkMdxWhitelist } from "./mdx.js";
+import {
+  rehypeClobberedLinks,
+  rehypeSanitizeContent,
+  rehypeSanitizeMdx,
+  remarkRehypeOptions,
+} from "./sanitize.js";
+
+// Code blocks are highlighted at build time for both themes; the CSS picks
+// the light or dark colours from the `dark` class, so no highlighter ships
+// to the browser. Fence meta supports titles and line ranges, e.g.
+// ```js title="lib/markdown.js" {2,4-6}
+// and `// [!code ++]` / `// [!code --]` comments mark diff lines.
+const prettyCodeOptions = {
+  theme: {
+    light: "github-light",
+    dark: "github-dark",
+  },
+  keepBackground: true,
+  defaultLang: { block: "plaintext" },
+  transformers: [transformerNotationDiff(), transformerNotationHighlight()],
+};
+
+// Headings get stable ids (GitHub style) plus a hover "#" link
+const autolinkOptions = {
+  behavior: "append",
+  properties: {
+    className: ["heading-anchor"],
+    ariaHidden: "true",
+    tabIndex: -1,
+  },
+  content: { type: "text", value: "#" },
+};
+
+// Shared by the markdown pipeline below and by compileMDX on the post page,
+// so .md and .mdx posts render headings, code, math and diagrams the same
+// way. Math and Mermaid fences are turned into HTML/SVG before the code
+// highlighter sees them, and local images are resized before their paths get
+// the basePath.
+export const rehypePlugins = [
+  rehypeMath,
+  rehypeMermaid,
+  rehypeSlug,
+  rehypeClobberedLinks,
+  rehypeToc,
+  [rehypeAutolinkHeadings, autolinkOptions],
+  [rehypePrettyCode, prettyCodeOptions],
+  rehypeCopyButton,
+  rehypeImages,
+  rehypeBasePath,
+];
+
+/**
+ * Returns the HTML plus the heading tree for the table of contents. Raw HTML
+ * is parsed and sanitized before anything else runs; `file` (relative to the
+ * repository root) is used in reports and to look up trusted files, and
+ * `posts` are what `[[slug]]` wiki links can point at.
+ */
+export async function markdownToHtml(markdown, { file, posts = [] } = {}) {
+  const result = await remark()
+    .use(remarkGfm)
+    .use(remarkMath)
+    .use(remarkWikiLinks, { posts })
+    .use(remarkRehype, { ...remarkRehypeOptions, allowDangerousHtml: true })
+    .use(rehypeSanitizeContent)
+    .use(rehypePlugins)
+    .use(rehypeStringify)
+    .process({ value: markdown, path: file });
+
+  return { html: result.toString(), toc: result.data.toc || [] };
+}
+
+/**
+ * Static HTML rendition of an MDX post for feeds, search and the table of
+ * contents, where React components cannot run. Components are replaced by
+ * plain HTML equivalents; the post page itself renders them with compileMDX.
+ */
+export async function mdxToHtml(source, { file, posts = [] } = {}) {
+  const result = await remark()
+    .use(remarkMdx)
+    .use(remarkGfm)
+    .use(remarkMath)
+    .use(remarkMdxWhitelist)
+    .use(remarkWikiLinks, { posts })
+    .use(remarkMdxStatic, { posts })
+    .use(remarkRehype, remarkRehypeOptions)
+    .use(rehypeSanitizeMdx)
+    .use(rehypePlugins)
+    .use(rehypeStringify)
+    .process({ value: source, path: file });
+
+  return { html: result.toString(), toc: result.data.toc || [] };
+}
+
+// Inline content, which runs on within its paragraph; other nodes end a word
+const PHRASING = new Set([
+  "text",
+  "emphasis",
+  "strong",
+  "delete",
+  "link",
+  "linkReference",
+  "inlineCode",
+  "mdxJsxTextElement",
+]);
+
+// Not prose: formulas, diagram sources, raw HTML and MDX code
+function isProse(node) {
+  return (
+    !["math", "inlineMath", "html", "mdxjsEsm", "mdxFlowExpression", "mdxTextExpression"].includes(
+      node.type
+    ) && !(node.type === "code" && node.lang === "mermaid")
+  );
+}
+
+/**
+ * The words of a markdown or MDX document as a reader sees them, for the
+ * search index: the text of its markdown tree, with wiki links as their
+ * titles and image alt text, but none of the markup the renderer adds.
+ */
+export async function markdownToText(source, { mdx = false, posts = [] } = {}) {
+  const processor = remark();
+  if (mdx) processor.use(remarkMdx);
+  processor.use(remarkGfm).use(remarkMath).use(remarkWikiLinks, { posts });
+  const tree = await processor.run(processor.parse(source));
+
+  const parts = [];
+  const visit = (node) => {
+    if (!isProse(node)) return;
+    if (node.type === "image") parts.push(node.alt || "");
+    if (typeof node.value === "string") parts.push(node.value);
+    node.children?.forEach(visit);
+    if (!PHRASING.has(node.type)) parts.push(" ");
+  };
+  visit(tree);
+
+  return parts.join("").replace(/\s+/g, " ").trim();
+}
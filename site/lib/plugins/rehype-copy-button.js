@@ -0,0 +1,35 @@
+/*
+ * Append a "Copy" button to every highlighted code block. The button is
+ * plain static markup; CodeCopyHandler wires up the click on the client.
+ */
+
+function walk(node, callback) {
+  callback(node);
+  if (node.children) node.children.forEach((child) => walk(child, callback));
+}
+
+export default function rehypeCopyButton() {
+  return (tree) => {
+    walk(tree, (node) => {
+      if (
+        node.type !== "element" ||
+        node.tagName !== "figure" ||
+        !("data-rehype-pretty-code-figure" in (node.properties || {}))
+      ) {
+        return;
+      }
+
+      node.children.push({
+        type: "element",
+        tagName: "button",
+        properties: {
+          type: "button",
+          className: ["copy-code-button"],
+          dataCopyCode: "",
+          ariaLabel: "Copy code to clipboard",
+        },
+        children: [{ type: "text", value: "Copy" }],
+      });
+    });
+  };
+}
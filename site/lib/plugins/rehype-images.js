@@ -0,0 +1,93 @@
+import { IMAGE_SIZES, isLocalImage, processImage, resolveImage } from "../images.js";
+import { ContentValidationError } from "../schema.js";
+
+/*
+ * Images stored next to the content (`![Diagram](./diagram.png)`, <img> and
+ * <Figure src="./diagram.png">) become <picture> elements offering AVIF and
+ * WebP before the original format, each in several widths, with the width
+ * and height set so the page does not jump while they load. A file that does
+ * not exist fails the build with the file and line.
+ */
+
+const JSX_ELEMENT = new Set(["mdxJsxFlowElement", "mdxJsxTextElement"]);
+
+function jsxAttribute(node, name) {
+  const attribute = node.attributes.find((entry) => entry.name === name);
+  return typeof attribute?.value === "string" ? attribute.value : undefined;
+}
+
+// Every image with a local src: <img> elements, and <img> and <Figure> in MDX
+function collect(node, found = []) {
+  (node.children || []).forEach((child) => {
+    if (child.type === "element" && child.tagName === "img") {
+      const { src } = child.properties || {};
+      if (isLocalImage(src)) found.push({ node: child, src });
+    } else if (JSX_ELEMENT.has(child.type) && ["img", "Figure"].includes(child.name)) {
+      const src = jsxAttribute(child, "src");
+      if (isLocalImage(src)) found.push({ node: child, src });
+    }
+    collect(child, found);
+  });
+  return found;
+}
+
+function element(tagName, properties, children = []) {
+  return { type: "element", tagName, properties, children };
+}
+
+function pictureNode(image, properties) {
+  const img = element("img", {
+    ...properties,
+    src: image.src,
+    srcSet: image.srcSet || undefined,
+    sizes: image.srcSet ? IMAGE_SIZES : undefined,
+    width: image.width,
+    height: image.height,
+    loading: "lazy",
+    decoding: "async",
+  });
+  if (!image.sources.length) return img;
+
+  return element("picture", {}, [
+    ...image.sources.map(({ type, srcSet }) =>
+      element("source", { type, srcSet, sizes: IMAGE_SIZES })
+    ),
+    img,
+  ]);
+}
+
+export default function rehypeImages() {
+  return async (tree, file) => {
+    const issues = [];
+
+    // One at a time: encoding is CPU and memory heavy
+    for (const { node, src } of collect(tree)) {
+      const filePath = resolveImage(src, file.path || "");
+      if (!filePath) {
+        issues.push({
+          file: file.path || "<markdown>",
+          line: node.position?.start.line ?? 1,
+          severity: "error",
+          message: `image ${src} does not exist next to this file`,
+        });
+        continue;
+      }
+
+      const image = await processImage(filePath);
+      if (node.type === "element") {
+        Object.assign(node, pictureNode(image, node.properties));
+      } else if (node.name === "img") {
+        // Plain HTML from here on, so the MDX attributes go
+        const properties = { alt: jsxAttribute(node, "alt") ?? "" };
+        Object.keys(node).forEach((key) => delete node[key]);
+        Object.assign(node, pictureNode(image, properties));
+      } else {
+        // <Figure> shows its children in place of its own <img>
+        node.attributes.find((attribute) => attribute.name === "src").value = image.src;
+        node.children = [pictureNode(image, { alt: jsxAttribute(node, "alt") ?? "" })];
+      }
+    }
+
+    if (issues.length) throw new ContentValidationError(issues);
+  };
+}
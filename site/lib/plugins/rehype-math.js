@@ -0,0 +1,76 @@
+import katex from "katex";
+import { fromHtml } from "hast-util-from-html";
+import { ContentValidationError } from "../schema.js";
+
+/*
+ * Render `$inline$` and `$$display$$` math (parsed by remark-math) with KaTeX
+ * at build time. The output is HTML plus MathML styled by the KaTeX
+ * stylesheet, so no script ships to the browser; it inherits the text colour
+ * and works in both themes. Formulas KaTeX cannot parse fail the build with
+ * the file and line.
+ */
+
+function isMath(node) {
+  return (
+    node.type === "element" &&
+    node.tagName === "code" &&
+    (node.properties?.className || []).includes("language-math")
+  );
+}
+
+function textOf(node) {
+  if (node.type === "text") return node.value;
+  return (node.children || []).map(textOf).join("");
+}
+
+// `$$` sits on its own line, so display formulas start one line down
+function errorLine(node, tex, error, displayMode) {
+  const start = node.position?.start.line ?? 1;
+  const before = tex.slice(0, error.position ?? 0).split("\n").length - 1;
+  return start + (displayMode ? 1 : 0) + before;
+}
+
+export default function rehypeMath() {
+  return (tree, file) => {
+    const issues = [];
+
+    const render = (node, tex, displayMode) => {
+      try {
+        const html = katex.renderToString(tex, { displayMode, throwOnError: true });
+        return fromHtml(html, { fragment: true }).children;
+      } catch (error) {
+        issues.push({
+          file: file.path || "<markdown>",
+          line: errorLine(node, tex, error, displayMode),
+          severity: "error",
+          message: `math: ${error.rawMessage || error.message}`,
+        });
+        return [];
+      }
+    };
+
+    const visit = (node) => {
+      if (!node.children) return;
+
+      node.children = node.children.flatMap((child) => {
+        // ```math fences and $$ blocks: <pre><code class="language-math">
+        if (
+          child.type === "element" &&
+          child.tagName === "pre" &&
+          child.children.length === 1 &&
+          isMath(child.children[0])
+        ) {
+          return render(child, textOf(child), true);
+        }
+        if (isMath(child)) return render(child, textOf(child), false);
+
+        visit(child);
+        return [child];
+      });
+    };
+
+    visit(tree);
+
+    if (issues.length) throw new ContentValidationError(issues);
+  };
+}
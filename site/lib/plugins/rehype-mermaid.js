@@ -0,0 +1,210 @@
+import crypto from "crypto";
+import path from "path";
+import { fromHtml } from "hast-util-from-html";
+import { ContentValidationError } from "../schema.js";
+
+/*
+ * Render ```mermaid fences to inline SVG at build time, so readers never
+ * download the Mermaid runtime. Mermaid needs a real browser to lay out
+ * text, so diagrams are drawn in headless Chrome through Puppeteer: once
+ * with the light theme and once with the dark one, and the CSS shows the
+ * copy that matches the `dark` class. Diagrams that do not parse fail the
+ * build with the file and line.
+ *
+ * Puppeteer downloads Chrome when it installs, so it is not a dependency of
+ * the site: sites with diagrams add it themselves (see the README), and the
+ * deploy workflow installs it. Without it a build fails on the first post
+ * with a diagram; `next dev` shows the diagrams as code and says so once.
+ */
+
+const THEMES = ["default", "dark"];
+
+// The same post is rendered for its page, feeds and search; draw each
+// diagram once per build. Keyed by id, which holds the diagram's hash and
+// its place in the post
+const cache = new Map();
+
+let warnedMissing = false;
+
+function isMermaid(node) {
+  const code = node.type === "element" && node.tagName === "pre" && node.children[0];
+  return (
+    code &&
+    code.type === "element" &&
+    code.tagName === "code" &&
+    (code.properties?.className || []).includes("language-mermaid")
+  );
+}
+
+function textOf(node) {
+  if (node.type === "text") return node.value;
+  return (node.children || []).map(textOf).join("");
+}
+
+function collect(node, found = []) {
+  (node.children || []).forEach((child) => {
+    if (isMermaid(child)) found.push(child);
+    else collect(child, found);
+  });
+  return found;
+}
+
+// Resolved by next.config.js, which Node loads unbundled; the scripts run
+// from site/, next to node_modules
+function mermaidScript() {
+  return (
+    process.env.MERMAID_SCRIPT ||
+    path.join(process.cwd(), "node_modules", "mermaid", "dist", "mermaid.min.js")
+  );
+}
+
+// Puppeteer if it is installed, else null. webpack must not try to bundle
+// or resolve it, as it may not be there
+async function loadPuppeteer() {
+  try {
+    return (await import(/* webpackIgnore: true */ "puppeteer")).default;
+  } catch (error) {
+    if (error.code === "ERR_MODULE_NOT_FOUND" || error.code === "MODULE_NOT_FOUND") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Draws every diagram in both themes; returns { default, dark } SVGs or
+// { error } per diagram
+async function renderDiagrams(puppeteer, diagrams, file) {
+  let browser;
+  try {
+    // Build machines (CI containers, root users) often cannot start Chrome's
+    // sandbox; the page only ever runs Mermaid in strict mode
+    browser = await puppeteer.launch({ args: ["--no-sandbox"] });
+  } catch (error) {
+    throw new Error(
+      `Mermaid diagrams in ${file} are drawn with Puppeteer, which could not start Chrome (https://pptr.dev/troubleshooting):\n${error.message}`
+    );
+  }
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent("<!DOCTYPE html><html><body></body></html>");
+    await page.addScriptTag({ path: mermaidScript() });
+
+    return await page.evaluate(
+      async (diagrams, themes) => {
+        const results = [];
+        for (const { id, code } of diagrams) {
+          const result = {};
+          for (const theme of themes) {
+            window.mermaid.initialize({ startOnLoad: false, securityLevel: "strict", theme });
+            try {
+              result[theme] = (await window.mermaid.render(`${id}-${theme}`, code)).svg;
+            } catch (error) {
+              result.error = error.message || String(error);
+              break;
+            }
+          }
+          results.push(result);
+        }
+        return results;
+      },
+      diagrams,
+      THEMES
+    );
+  } finally {
+    await browser.close();
+  }
+}
+
+// Mermaid counts lines from the start of the diagram, one below the fence
+function errorLine(node, message) {
+  const start = node.position?.start.line ?? 1;
+  const match = /line (\d+)/i.exec(message);
+  return match ? start + Number(match[1]) : start;
+}
+
+// "Parse error on line 3:", the offending source, then "Expecting ..."
+function errorSummary(message) {
+  const lines = message.trim().split("\n");
+  const first = lines[0];
+  const last = lines[lines.length - 1];
+  return lines.length > 1 ? `${first.replace(/:$/, "")}: ${last}` : first;
+}
+
+function diagramNodes(svgs) {
+  const copy = (theme, hidden) => ({
+    type: "element",
+    tagName: "div",
+    properties: { className: [`mermaid-${theme === "dark" ? "dark" : "light"}`], hidden },
+    children: fromHtml(svgs[theme], { fragment: true }).children,
+  });
+
+  return {
+    type: "element",
+    tagName: "figure",
+    properties: { className: ["mermaid-diagram"] },
+    // The dark copy is hidden outside the site (feed readers) as well
+    children: [copy("default", false), copy("dark", true)],
+  };
+}
+
+export default function rehypeMermaid() {
+  return async (tree, file) => {
+    const nodes = collect(tree);
+    if (!nodes.length) return;
+
+    // The counter keeps the ids of a diagram drawn twice in one post apart:
+    // Mermaid scopes each SVG's styles to its id
+    const diagrams = nodes.map((node, index) => {
+      const code = textOf(node).trimEnd();
+      const hash = crypto.createHash("sha256").update(code).digest("hex").slice(0, 10);
+      return { id: `mermaid-${hash}-${index + 1}`, code };
+    });
+
+    const missing = diagrams.filter((diagram) => !cache.has(diagram.id));
+    if (missing.length) {
+      const puppeteer = await loadPuppeteer();
+      if (!puppeteer && process.env.NODE_ENV === "development") {
+        if (!warnedMissing) {
+          console.warn(
+            "Mermaid diagrams are shown as code: install Puppeteer to draw them (see the README)"
+          );
+          warnedMissing = true;
+        }
+        return;
+      }
+      if (!puppeteer) {
+        throw new ContentValidationError(
+          nodes.map((node) => ({
+            file: file.path || "<markdown>",
+            line: node.position?.start.line ?? 1,
+            severity: "error",
+            message: "mermaid: diagrams are drawn with Puppeteer, which is not installed (see the README)",
+          }))
+        );
+      }
+
+      const results = await renderDiagrams(puppeteer, missing, file.path || "<markdown>");
+      missing.forEach((diagram, index) => cache.set(diagram.id, results[index]));
+    }
+
+    const issues = [];
+    nodes.forEach((node, index) => {
+      const result = cache.get(diagrams[index].id);
+
+      if (result.error) {
+        issues.push({
+          file: file.path || "<markdown>",
+          line: errorLine(node, result.error),
+          severity: "error",
+          message: `mermaid: ${errorSummary(result.error)}`,
+        });
+        return;
+      }
+
+      Object.assign(node, diagramNodes(result));
+    });
+
+    if (issues.length) throw new ContentValidationError(issues);
+  };
+}
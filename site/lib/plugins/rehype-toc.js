@@ -0,0 +1,45 @@
+/*
+ * Collect the headings of a document into a nested table of contents and
+ * store it on `file.data.toc`. Run after rehype-slug so every heading
+ * already has its id.
+ */
+
+const HEADING = /^h([2-6])$/;
+
+function walk(node, callback) {
+  callback(node);
+  if (node.children) node.children.forEach((child) => walk(child, callback));
+}
+
+function textContent(node) {
+  if (node.type === "text") return node.value;
+  return (node.children || []).map(textContent).join("");
+}
+
+export default function rehypeToc() {
+  return (tree, file) => {
+    const toc = [];
+    const stack = [];
+
+    walk(tree, (node) => {
+      const match = node.type === "element" && node.tagName.match(HEADING);
+      if (!match || !node.properties?.id) return;
+
+      const entry = {
+        id: node.properties.id,
+        text: textContent(node).trim(),
+        depth: Number(match[1]),
+        children: [],
+      };
+
+      // Pop back to this heading's parent level
+      while (stack.length && stack[stack.length - 1].depth >= entry.depth) {
+        stack.pop();
+      }
+      (stack.length ? stack[stack.length - 1].children : toc).push(entry);
+      stack.push(entry);
+    });
+
+    file.data.toc = toc;
+  };
+}
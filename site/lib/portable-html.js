@@ -0,0 +1,67 @@
+import { fromHtml } from "hast-util-from-html";
+import { toHtml } from "hast-util-to-html";
+
+/*
+ * Rendered post HTML made to stand on its own, outside the site's pages and
+ * stylesheet: for feed readers and the EPUB and offline exports. The site
+ * adds controls and duplicates for its own scripts and CSS that mean nothing
+ * anywhere else.
+ */
+
+export function find(node, test) {
+  if (test(node)) return node;
+  for (const child of node.children || []) {
+    const found = find(child, test);
+    if (found) return found;
+  }
+  return null;
+}
+
+export function hasClass(node, name) {
+  return node.type === "element" && (node.properties?.className || []).includes(name);
+}
+
+/**
+ * Strip the site chrome from a hast tree, in place: copy buttons, heading
+ * "#" links and the dark copy of diagrams. KaTeX keeps only its MathML,
+ * which readers render without the KaTeX fonts, and <picture> keeps its
+ * <img> in the original format.
+ */
+export function simplifyHtml(node) {
+  if (!node.children) return;
+
+  node.children = node.children.flatMap((child) => {
+    if (child.type !== "element") return [child];
+    if (
+      child.tagName === "button" ||
+      hasClass(child, "heading-anchor") ||
+      hasClass(child, "mermaid-dark")
+    ) {
+      return [];
+    }
+    if (hasClass(child, "katex-display") || hasClass(child, "katex")) {
+      const math = find(child, (node) => node.type === "element" && node.tagName === "math");
+      return math ? [math] : [];
+    }
+
+    const element =
+      child.tagName === "picture"
+        ? find(child, (node) => node.type === "element" && node.tagName === "img")
+        : child;
+    if (!element) return [];
+    if (element.tagName === "img") {
+      const { srcSet, sizes, loading, decoding, ...properties } = element.properties;
+      element.properties = properties;
+    }
+
+    simplifyHtml(element);
+    return [element];
+  });
+}
+
+// The same, for an HTML fragment
+export function toPortableHtml(html) {
+  const tree = fromHtml(html, { fragment: true });
+  simplifyHtml(tree);
+  return toHtml(tree);
+}
@@ -0,0 +1,110 @@
+/*
+ * Related posts, scored when the site builds from what two posts share:
+ * tags, words in their titles and the distinctive words of their text
+ * (TF-IDF). Nothing is computed in the browser.
+ */
+
+// How much each signal counts; each one scores between 0 and 1
+const WEIGHTS = { tags: 0.5, title: 0.2, body: 0.3 };
+
+// Words too common to say anything about a post
+const STOP_WORDS = new Set(
+  `about above after again all also and any are because been before being
+  below between both but can could did does doing down during each few for
+  from further had has have having her here hers him his how into its itself
+  just more most not now off once only other our ours out over own same she
+  should some such than that the their theirs them then there these they this
+  those through too under until very was were what when where which while who
+  whom why will with would you your yours`.split(/\s+/)
+);
+
+/**
+ * Lowercase words of at least three letters in a markdown text, without
+ * code, URLs, markup or stop words.
+ */
+export function tokenize(text) {
+  return (text || "")
+    .replace(/```[\s\S]*?```|~~~[\s\S]*?~~~/g, " ")
+    .replace(/`[^`]*`/g, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\]\([^)]*\)/g, "]")
+    .replace(/\bhttps?:\/\/\S+/g, " ")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  const shared = [...a].filter((value) => b.has(value)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  return dot;
+}
+
+// TF-IDF weights of every document's words, scaled to unit length so the
+// cosine is a plain dot product
+function bodyVectors(documents) {
+  const counts = documents.map((document) => {
+    const terms = new Map();
+    tokenize(document.body).forEach((term) => terms.set(term, (terms.get(term) || 0) + 1));
+    return terms;
+  });
+
+  const documentFrequency = new Map();
+  counts.forEach((terms) =>
+    terms.forEach((count, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    )
+  );
+
+  return counts.map((terms) => {
+    const vector = new Map();
+    terms.forEach((count, term) => {
+      const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(term)));
+      if (idf > 0) vector.set(term, (1 + Math.log(count)) * idf);
+    });
+    const length = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+    vector.forEach((weight, term) => vector.set(term, weight / (length || 1)));
+    return vector;
+  });
+}
+
+/**
+ * Score every pair of `documents` ({ id, title, tags, body }, where tags
+ * are tag slugs) and return a function listing the ids most related to one
+ * of them, best first. Only documents with something in common are listed.
+ */
+export function buildRelatedIndex(documents) {
+  const vectors = bodyVectors(documents);
+  const features = documents.map((document, index) => ({
+    id: document.id,
+    tags: new Set(document.tags),
+    title: new Set(tokenize(document.title)),
+    body: vectors[index],
+  }));
+
+  return function related(id) {
+    const target = features.find((feature) => feature.id === id);
+    if (!target) return [];
+
+    return features
+      .filter((feature) => feature !== target)
+      .map((feature) => ({
+        id: feature.id,
+        score:
+          WEIGHTS.tags * jaccard(target.tags, feature.tags) +
+          WEIGHTS.title * jaccard(target.title, feature.title) +
+          WEIGHTS.body * cosine(target.body, feature.body),
+      }))
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map((entry) => entry.id);
+  };
+}
@@ -0,0 +1,269 @@
+import { raw } from "hast-util-raw";
+import { defaultSchema, sanitize } from "hast-util-sanitize";
+import sanitizeConfig from "../sanitize.config.js";
+
+/*
+ * Contributor content is untrusted: raw HTML in markdown is parsed and then
+ * reduced to the allowlist in sanitize.config.js. Everything that gets
+ * removed is reported with its file and line so reviewers see it in CI.
+ */
+
+function mergeAttributes(base, extra = {}) {
+  const merged = { ...base };
+  Object.entries(extra).forEach(([tagName, names]) => {
+    merged[tagName] = [...(merged[tagName] || []), ...names];
+  });
+  return merged;
+}
+
+export const sanitizeSchema = {
+  ...defaultSchema,
+  tagNames: [...defaultSchema.tagNames, ...(sanitizeConfig.tagNames || [])],
+  attributes: {
+    ...mergeAttributes(defaultSchema.attributes, sanitizeConfig.attributes),
+    // Fence languages, the classes remark-math gives formulas and the fence
+    // meta (see rehypeSanitizeContent)
+    code: [
+      ["className", /^language-./, "math-inline", "math-display"],
+      ...(sanitizeConfig.attributes?.code || []),
+      "dataMeta",
+    ],
+  },
+  protocols: { ...defaultSchema.protocols, ...sanitizeConfig.protocols },
+  // Like <script>, a stray <style> is dropped together with its content
+  strip: [...defaultSchema.strip, "style"],
+};
+
+/*
+ * Ids from contributors are prefixed with `user-content-` (the schema's
+ * clobberPrefix) so they cannot clash with the page's own ids or clobber
+ * globals. remark-rehype is told not to prefix the ids it generates for
+ * footnotes, so they get the prefix once, with all the others, and
+ * rehypeClobberedLinks points links at them. Heading ids are only added after
+ * sanitizing and are left as they are.
+ */
+export const remarkRehypeOptions = { clobberPrefix: "" };
+
+export function isTrustedFile(file) {
+  return (sanitizeConfig.trusted || []).includes(file);
+}
+
+// hast property name to the attribute name a contributor wrote
+function attributeName(property) {
+  if (property === "className") return "class";
+  if (property === "htmlFor") return "for";
+  return /^(data|aria)[A-Z]/.test(property)
+    ? property.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)
+    : property.toLowerCase();
+}
+
+const normalize = (name) => name.toLowerCase().replace(/-/g, "");
+
+function findDefinition(tagName, name) {
+  const definitions = [
+    ...(sanitizeSchema.attributes[tagName] || []),
+    ...(sanitizeSchema.attributes["*"] || []),
+  ];
+  return definitions.find(
+    (definition) =>
+      normalize(typeof definition === "string" ? definition : definition[0]) ===
+      normalize(name)
+  );
+}
+
+function allowedValue(definition, value) {
+  if (typeof definition === "string" || definition.length < 2) return true;
+  return definition
+    .slice(1)
+    .some((allowed) =>
+      allowed instanceof RegExp ? allowed.test(String(value)) : allowed === value
+    );
+}
+
+function safeProtocol(name, value) {
+  const protocols = Object.entries(sanitizeSchema.protocols).find(
+    ([property]) => normalize(property) === normalize(name)
+  )?.[1];
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(String(value).trim());
+  return !protocols || !scheme || protocols.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * What sanitizing would remove from an element, as human readable messages.
+ * Also used by the MDX whitelist, where these are errors instead.
+ */
+export function disallowedHtml(tagName, properties = {}) {
+  if (!sanitizeSchema.tagNames.includes(tagName)) return [`<${tagName}>`];
+
+  return Object.entries(properties).flatMap(([name, value]) => {
+    if (value === undefined || value === null || value === false) return [];
+    const definition = findDefinition(tagName, name);
+    const values = Array.isArray(value) ? value : [value];
+
+    if (!definition || !values.every((item) => allowedValue(definition, item))) {
+      return [`attribute "${attributeName(name)}" on <${tagName}>`];
+    }
+    if (!values.every((item) => safeProtocol(name, item))) {
+      return [`unsafe URL "${values.join(" ")}" on <${tagName}>`];
+    }
+    return [];
+  });
+}
+
+// The same file is rendered for several routes; report each removal once
+const reported = new Set();
+
+function reportStripped(issues) {
+  issues.forEach((issue) => {
+    const line = `${issue.file}:${issue.line}  warning  ${issue.message}`;
+    if (reported.has(line)) return;
+    reported.add(line);
+    console.warn(line);
+  });
+}
+
+// Everything sanitizing will remove from a tree, as content issues
+function findStripped(tree, file) {
+  const issues = [];
+
+  const visit = (node) => {
+    if (node.type === "element") {
+      const stripped = sanitizeSchema.strip.includes(node.tagName);
+      disallowedHtml(node.tagName, node.properties).forEach((message) =>
+        issues.push({
+          file: file.path || "<markdown>",
+          line: node.position?.start.line ?? 1,
+          severity: "warning",
+          message: `removed ${message}${stripped ? " and its content" : ""}`,
+        })
+      );
+      // Nothing inside a stripped element survives, so nothing to report
+      if (stripped) return;
+    }
+    if (node.children) node.children.forEach(visit);
+  };
+  visit(tree);
+
+  return issues;
+}
+
+function walk(node, callback) {
+  callback(node);
+  if (node.children) node.children.forEach((child) => walk(child, callback));
+}
+
+/**
+ * Parse raw HTML in a remark-rehype tree and apply the allowlist, unless the
+ * file is listed as trusted. Removals are logged once each; pass `report` to
+ * collect them instead (content:check does this).
+ */
+export function rehypeSanitizeContent({ report = reportStripped } = {}) {
+  return (tree, file) => {
+    // Parsing raw HTML rebuilds every node, which drops the fence meta
+    // (title="...", {1,3}) rehype-pretty-code reads, so carry it along
+    walk(tree, (node) => {
+      if (node.tagName === "code" && node.data?.meta) {
+        node.properties.dataMeta = node.data.meta;
+      }
+    });
+
+    let clean = raw(tree, { file });
+    if (!isTrustedFile(file.path)) {
+      const issues = findStripped(clean, file);
+      if (issues.length) report(issues);
+      clean = sanitize(clean, sanitizeSchema);
+    }
+
+    walk(clean, (node) => {
+      if (node.tagName === "code" && node.properties?.dataMeta) {
+        node.data = { ...node.data, meta: node.properties.dataMeta };
+        delete node.properties.dataMeta;
+      }
+    });
+    return clean;
+  };
+}
+
+// Stand-in for checked JSX while the rest of an MDX tree is sanitized
+const MDX_PLACEHOLDER = "mdx-jsx";
+
+const mdxSchema = {
+  ...sanitizeSchema,
+  tagNames: [...sanitizeSchema.tagNames, MDX_PLACEHOLDER],
+  attributes: { ...sanitizeSchema.attributes, [MDX_PLACEHOLDER]: ["dataIndex"] },
+};
+
+// JSX left as it is by compileMDX, or turned into HTML by remarkMdxStatic
+function isMdxJsx(node) {
+  return (
+    node.type === "mdxJsxFlowElement" ||
+    node.type === "mdxJsxTextElement" ||
+    (node.type === "element" && node.properties?.dataMdxJsx !== undefined)
+  );
+}
+
+/**
+ * Apply the allowlist to an MDX tree, unless the file is trusted. MDX has no
+ * raw HTML, and its JSX elements were already checked by remarkMdxWhitelist,
+ * so they are kept as they are while everything inside them, and all the
+ * markdown around them, is sanitized like any other post.
+ */
+export function rehypeSanitizeMdx() {
+  return (tree, file) => {
+    if (isTrustedFile(file.path)) return;
+
+    const kept = [];
+    const hide = (node) => {
+      if (!node.children) return;
+      node.children = node.children.map((child) => {
+        hide(child);
+        if (!isMdxJsx(child)) return child;
+        kept.push(child);
+        return {
+          type: "element",
+          tagName: MDX_PLACEHOLDER,
+          properties: { dataIndex: kept.length - 1 },
+          children: child.children || [],
+        };
+      });
+    };
+    const restore = (node) => {
+      if (!node.children) return;
+      node.children = node.children.map((child) => {
+        restore(child);
+        if (child.tagName !== MDX_PLACEHOLDER) return child;
+        const original = kept[child.properties.dataIndex];
+        if (original.properties) delete original.properties.dataMdxJsx;
+        return { ...original, children: child.children };
+      });
+    };
+
+    hide(tree);
+    const clean = sanitize(tree, mdxSchema);
+    restore(clean);
+    return clean;
+  };
+}
+
+/**
+ * Point in-page links (`#box`, footnote references) at the prefixed id when
+ * only that exists. Runs once heading ids are in place, so a link to a
+ * heading keeps pointing at the heading.
+ */
+export function rehypeClobberedLinks() {
+  return (tree) => {
+    const ids = new Set();
+    walk(tree, (node) => {
+      if (node.properties?.id) ids.add(String(node.properties.id));
+    });
+
+    walk(tree, (node) => {
+      const href = node.tagName === "a" && node.properties?.href;
+      if (typeof href !== "string" || !href.startsWith("#")) return;
+      const clobbered = `${sanitizeSchema.clobberPrefix}${href.slice(1)}`;
+      if (!ids.has(href.slice(1)) && ids.has(clobbered)) {
+        node.properties.href = `#${clobbered}`;
+      }
+    });
+  };
+}
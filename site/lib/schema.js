@@ -0,0 +1,263 @@
+import matter from "gray-matter";
+
+/*
+ * Front matter schemas for everything under content/. Each field declares its
+ * type and whether it is required; `validateContent` checks a file against
+ * one of these and reports problems with the line they occur on, so the same
+ * rules back both `pnpm content:check` and the Next build.
+ */
+
+const DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// `author` and `authors` hold ids of files in content/authors; `related`
+// and `excludeRelated` hold slugs of posts, checked by getAllPosts
+export const postSchema = {
+  title: { type: "string", required: true },
+  date: { type: "date", required: true },
+  lastUpdated: { type: "date" },
+  author: { type: "authors" },
+  authors: { type: "authors" },
+  excerpt: { type: "string" },
+  image: { type: "image" },
+  tags: { type: "tags" },
+  series: { type: "string" },
+  seriesOrder: { type: "integer", min: 1 },
+  draft: { type: "boolean" },
+  unlisted: { type: "boolean" },
+  toc: { type: "boolean" },
+  tocDepth: { type: "integer", min: 2, max: 6 },
+  lang: { type: "locale" },
+  translationOf: { type: "string" },
+  slug: { type: "slug" },
+  aliases: { type: "aliases" },
+  related: { type: "slugs" },
+  excludeRelated: { type: "slugs" },
+};
+
+export const pageSchema = {
+  title: { type: "string", required: true },
+  type: { type: "string" },
+  description: { type: "string" },
+  lastUpdated: { type: "date" },
+  nav: { type: "boolean" },
+  navOrder: { type: "integer" },
+  navLabel: { type: "string" },
+  layout: { type: "enum", values: ["default", "wide", "plain"] },
+  aliases: { type: "aliases" },
+};
+
+// content/authors/<id>.md, the markdown body is the bio
+export const authorSchema = {
+  name: { type: "string", required: true },
+  avatar: { type: "url" },
+  links: { type: "links" },
+};
+
+export class ContentValidationError extends Error {
+  constructor(issues) {
+    super(
+      `Invalid content:\n${issues.map((issue) => `  ${formatIssue(issue)}`).join("\n")}`
+    );
+    this.name = "ContentValidationError";
+    this.issues = issues;
+  }
+}
+
+export function formatIssue(issue) {
+  return `${issue.file}:${issue.line}  ${issue.severity}  ${issue.message}`;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+// YAML turns unquoted dates into Date objects, quoted ones stay strings
+function isValidDate(value) {
+  if (value instanceof Date) return !isNaN(value);
+  if (typeof value !== "string" || !DATE_PATTERN.test(value.trim())) return false;
+  return !isNaN(new Date(value));
+}
+
+// Absolute http(s) URLs or paths inside the site
+function isValidUrl(value) {
+  if (!isNonEmptyString(value)) return false;
+  if (value.startsWith("/")) return !value.startsWith("//");
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Old URLs of a post or page: plain site paths, no query or fragment
+function isAliasPath(value) {
+  return (
+    isNonEmptyString(value) &&
+    value.startsWith("/") &&
+    !value.startsWith("//") &&
+    value !== "/" &&
+    !/[?#\s]/.test(value)
+  );
+}
+
+const checks = {
+  string: (value) => isNonEmptyString(value) || "must be a non-empty string",
+  boolean: (value) => typeof value === "boolean" || "must be true or false",
+  date: (value) =>
+    isValidDate(value) || "must be a valid date in YYYY-MM-DD (or ISO 8601) format",
+  url: (value) =>
+    isValidUrl(value) || "must be an http(s) URL or a path starting with /",
+  // Also a file next to the post, e.g. ./cover.jpg
+  image: (value) =>
+    isValidUrl(value) ||
+    (isNonEmptyString(value) && !/^[a-z][a-z0-9+.-]*:/i.test(value)) ||
+    "must be a file next to the post (./cover.jpg), a path starting with / or an http(s) URL",
+  integer: (value, rule) => {
+    if (!Number.isInteger(value)) return "must be a whole number";
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+    return true;
+  },
+  enum: (value, rule) =>
+    rule.values.includes(value) || `must be one of: ${rule.values.join(", ")}`,
+  tags: (value) => {
+    if (!Array.isArray(value)) return "must be a list, e.g. [markdown, guides]";
+    const bad = value.find((tag) => !isNonEmptyString(tag) && typeof tag !== "number");
+    return bad === undefined || `must only contain non-empty names (found ${JSON.stringify(bad)})`;
+  },
+  // One author id or a list of them; checked against the registry when the
+  // caller passes the known ids
+  authors: (value, rule, context) => {
+    const ids = Array.isArray(value) ? value : [value];
+    const bad = ids.find((id) => !isNonEmptyString(id));
+    if (bad !== undefined) {
+      return `must be an author id or a list of them (found ${JSON.stringify(bad)})`;
+    }
+    if (!context.authors) return true;
+    const unknown = ids.filter((id) => !context.authors.includes(id));
+    return (
+      !unknown.length ||
+      `refers to unknown ${unknown.length === 1 ? "author" : "authors"} ${unknown
+        .map((id) => `"${id}"`)
+        .join(", ")} (add content/authors/${unknown[0]}.md)`
+    );
+  },
+  // A language code from the `locales` in markvault.config.js
+  locale: (value, rule, context) => {
+    if (!isNonEmptyString(value)) return "must be a language code such as en";
+    return (
+      !context.locales ||
+      context.locales.includes(value) ||
+      `must be one of the configured locales: ${context.locales.join(", ")}`
+    );
+  },
+  slug: (value) =>
+    (typeof value === "string" && /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/.test(value)) ||
+    "must be lowercase letters, digits and dashes, e.g. my-first-post",
+  slugs: (value) => {
+    if (!Array.isArray(value)) return "must be a list of post slugs, e.g. [why, quickstart]";
+    const bad = value.find((slug) => !isNonEmptyString(slug));
+    return bad === undefined || `must only contain post slugs (found ${JSON.stringify(bad)})`;
+  },
+  aliases: (value) => {
+    if (!Array.isArray(value)) return "must be a list of old paths, e.g. [/posts/old-name]";
+    const bad = value.find((alias) => !isAliasPath(alias));
+    return (
+      bad === undefined ||
+      `must only contain site paths such as /posts/old-name (found ${JSON.stringify(bad)})`
+    );
+  },
+  links: (value) => {
+    if (!Array.isArray(value)) return "must be a list of { label, url } entries";
+    const bad = value.find(
+      (link) => !link || !isNonEmptyString(link.label) || !isValidUrl(link.url)
+    );
+    return (
+      bad === undefined ||
+      `entries need a label and an http(s) url (found ${JSON.stringify(bad)})`
+    );
+  },
+};
+
+// Line (1-based, in the whole file) where a front matter key is declared
+export function findKeyLine(source, key) {
+  const lines = source.split(/\r?\n/);
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^${escaped}\\s*:`);
+
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].trim() === "---") break;
+    if (pattern.test(lines[i])) return i + 1;
+  }
+  return 1;
+}
+
+/**
+ * Validate one content file. Returns the parsed front matter and content
+ * alongside a list of issues; `data` is null when the YAML itself is broken.
+ * `context.authors` and `context.locales` list the known author ids and
+ * language codes for cross-file checks.
+ */
+export function validateContent(source, schema, file, context = {}) {
+  const issues = [];
+  const report = (severity, line, message) =>
+    issues.push({ file, line, severity, message });
+
+  if (!source.startsWith("---")) {
+    report("error", 1, "missing front matter block (the file must start with ---)");
+    return { data: null, content: source, issues };
+  }
+
+  let parsed;
+  try {
+    // Fresh options object so gray-matter's cache never hides a YAML error
+    parsed = matter(source, {});
+  } catch (error) {
+    // js-yaml lines are 0-based and relative to the front matter
+    const line = error.mark ? error.mark.line + 2 : 1;
+    report("error", line, `front matter is not valid YAML: ${error.reason || error.message}`);
+    return { data: null, content: source, issues };
+  }
+
+  const { data, content } = parsed;
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = data[key];
+    if (value === undefined || value === null) {
+      if (rule.required) report("error", 1, `missing required field "${key}"`);
+      continue;
+    }
+
+    const result = checks[rule.type](value, rule, context);
+    if (result !== true) {
+      report("error", findKeyLine(source, key), `"${key}" ${result}`);
+    }
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!(key in schema)) {
+      report("warning", findKeyLine(source, key), `unknown field "${key}"`);
+    }
+  }
+
+  issues.sort((a, b) => a.line - b.line);
+  return { data, content, issues };
+}
+
+/**
+ * Parse a content file, throwing a ContentValidationError when it does not
+ * match its schema. Warnings are logged but do not fail.
+ */
+export function parseContent(source, schema, file, context) {
+  const { data, content, issues } = validateContent(source, schema, file, context);
+  const errors = issues.filter((issue) => issue.severity === "error");
+
+  issues
+    .filter((issue) => issue.severity === "warning")
+    .forEach((issue) => console.warn(formatIssue(issue)));
+
+  if (errors.length) throw new ContentValidationError(errors);
+  return { data, content };
+}
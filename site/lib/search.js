@@ -0,0 +1,28 @@
+import { getAllPosts, getPostText } from "./markdown.js";
+import { LOCALES, postPath } from "./site.js";
+
+/**
+ * Build the search index that ships as a static JSON asset. Everything the
+ * client needs to rank and display results lives in here, so search keeps
+ * working without a server. Posts in every language are indexed with their
+ * `lang`; `locales` lists the language codes, the default one first, so the
+ * palette can tell which language a page is in from its path.
+ */
+export async function getSearchIndex() {
+  const posts = await getAllPosts({ locale: null });
+
+  const documents = await Promise.all(
+    posts.map(async (post) => ({
+      slug: post.slug,
+      lang: post.lang,
+      path: postPath(post),
+      title: post.title,
+      date: post.date,
+      excerpt: post.excerpt,
+      tags: post.tags.map((tag) => tag.name),
+      body: await getPostText(post.slug, { locale: post.lang }),
+    }))
+  );
+
+  return { version: 2, locales: LOCALES.map((locale) => locale.code), documents };
+}
@@ -0,0 +1,103 @@
+import { SITE_TITLE, absoluteUrl, postPath } from "./site";
+
+// Full ISO 8601 timestamp, as Open Graph and JSON-LD expect; not the
+// yyyy-MM-dd day of toIsoDate in lib/site
+function toTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : undefined;
+}
+
+/**
+ * Build the Next.js metadata for a page: description, canonical URL,
+ * Open Graph and Twitter cards. Paths are site paths without the basePath.
+ * `languages` maps locale codes to the paths of the page's translations and
+ * becomes hreflang alternates, with the default language as x-default.
+ */
+export function buildMetadata({
+  title,
+  description,
+  path,
+  image,
+  type = "website",
+  publishedTime,
+  modifiedTime,
+  authors,
+  tags,
+  noindex = false,
+  languages,
+  defaultLanguage,
+}) {
+  const url = absoluteUrl(path);
+  const images = image ? [{ url: absoluteUrl(image), alt: title }] : undefined;
+  const fullTitle = title ? `${title} | ${SITE_TITLE}` : SITE_TITLE;
+
+  return {
+    title,
+    description,
+    alternates: {
+      canonical: url,
+      ...(languages &&
+        Object.keys(languages).length > 1 && {
+          languages: Object.fromEntries([
+            ...Object.entries(languages).map(([code, href]) => [code, absoluteUrl(href)]),
+            ...(languages[defaultLanguage]
+              ? [["x-default", absoluteUrl(languages[defaultLanguage])]]
+              : []),
+          ]),
+        }),
+    },
+    openGraph: {
+      type,
+      url,
+      title: fullTitle,
+      description,
+      siteName: SITE_TITLE,
+      images,
+      ...(type === "article" && {
+        publishedTime: toTimestamp(publishedTime),
+        modifiedTime: toTimestamp(modifiedTime),
+        authors,
+        tags,
+      }),
+    },
+    twitter: {
+      card: images ? "summary_large_image" : "summary",
+      title: fullTitle,
+      description,
+      images,
+    },
+    ...(noindex && { robots: { index: false, follow: true } }),
+  };
+}
+
+// schema.org BlogPosting for a post page, rendered as JSON-LD
+export function blogPostingJsonLd({ slug, metadata }) {
+  const url = absoluteUrl(postPath({ ...metadata, slug }));
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "BlogPosting",
+    headline: metadata.title,
+    description: metadata.excerpt || undefined,
+    image: metadata.image ? [absoluteUrl(metadata.image)] : undefined,
+    datePublished: toTimestamp(metadata.isoDate),
+    dateModified: toTimestamp(metadata.history?.updated),
+    inLanguage: metadata.lang,
+    author: metadata.authors.length
+      ? metadata.authors.map((author) => ({
+          "@type": "Person",
+          name: author.name,
+          url: absoluteUrl(`/authors/${author.id}`),
+        }))
+      : undefined,
+    keywords: metadata.tags.map((tag) => tag.name).join(", ") || undefined,
+    mainEntityOfPage: { "@type": "WebPage", "@id": url },
+    url,
+    publisher: { "@type": "Organization", name: SITE_TITLE },
+  };
+}
+
+// JSON.stringify does not escape "<", which would let content close the script tag
+export function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
@@ -0,0 +1,95 @@
+import { format, parseISO } from "date-fns";
+import * as dateLocales from "date-fns/locale";
+import { siteConfig } from "./config.js";
+
+export const SITE_TITLE = siteConfig.name;
+export const SITE_DESCRIPTION = siteConfig.description;
+
+export const LOCALES = siteConfig.locales;
+export const DEFAULT_LOCALE = LOCALES[0].code;
+
+export function getLocale(code) {
+  return LOCALES.find((locale) => locale.code === code) || LOCALES[0];
+}
+
+// Site path in a language: the default one has no prefix, /posts vs /vi/posts
+export function localePath(locale, pathname = "/") {
+  if (!locale || locale === DEFAULT_LOCALE) return pathname;
+  return `/${locale}${pathname === "/" ? "" : pathname}`;
+}
+
+// Route params for the languages served under a prefix, app/[locale]/...
+// `output: export` rejects routes without any params, so a single-language
+// site serves its default language there as well; those pages keep their
+// canonical URL on the unprefixed path
+export function localeParams() {
+  const prefixed = LOCALES.length > 1 ? LOCALES.slice(1) : LOCALES;
+  return prefixed.map((locale) => ({ locale: locale.code }));
+}
+
+/**
+ * URL of a post: the `permalink` pattern filled in with its slug and the
+ * year, month and day of its yyyy-MM-dd `isoDate`, under the prefix of its
+ * language.
+ */
+export function postPath(post) {
+  const [year, month, day] = (post.isoDate || "").split("-");
+  const values = { slug: post.slug, year, month, day };
+  const pathname = siteConfig.permalink.replace(
+    /:(slug|year|month|day)/g,
+    (token, name) => values[name] || "undated"
+  );
+  return localePath(post.lang, pathname);
+}
+
+/**
+ * The yyyy-MM-dd day of a date or timestamp, in UTC. YAML reads front matter
+ * dates as UTC midnight, so the day written in the file stays the same
+ * whatever time zone the site is built in; sorting and grouping by it is
+ * plain string comparison.
+ */
+export function toIsoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+// Page `page` of the posts listing in a language: /posts, /posts/page/2, ...
+export function postsPagePath(page, locale = DEFAULT_LOCALE) {
+  return localePath(locale, page > 1 ? `/posts/page/${page}` : "/posts");
+}
+
+// Dates as shown on the site, in the language's dateFormat
+export function formatDate(value, locale = DEFAULT_LOCALE) {
+  const isoDate = toIsoDate(value);
+  if (!isoDate) return "Unknown date";
+
+  const { dateFormat, dateLocale } = getLocale(locale);
+  return format(parseISO(isoDate), dateFormat, { locale: dateLocales[dateLocale] });
+}
+
+// Month and year of a yyyy-MM month, e.g. "March 2024", in the language
+export function formatMonth(month, locale = DEFAULT_LOCALE) {
+  const { dateLocale } = getLocale(locale);
+  return format(parseISO(`${month}-01`), "LLLL yyyy", { locale: dateLocales[dateLocale] });
+}
+
+// Images on the site with the basePath; next/image leaves plain strings alone
+export function assetPath(src) {
+  const local = src.startsWith("/") && !src.startsWith("//");
+  return local ? `${process.env.BASE_PATH || ""}${src}` : src;
+}
+
+// Public origin, e.g. https://univault-org.github.io
+export function getSiteOrigin() {
+  return (process.env.SITE_URL || "").replace(/\/+$/, "");
+}
+
+// Public origin plus basePath, e.g. https://univault-org.github.io/MarkVault
+export function getSiteUrl() {
+  return `${getSiteOrigin()}${process.env.BASE_PATH || ""}`;
+}
+
+export function absoluteUrl(pathname = "/") {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(pathname)) return pathname;
+  return `${getSiteUrl()}${pathname.startsWith("/") ? "" : "/"}${pathname}`;
+}
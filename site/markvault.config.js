@@ -0,0 +1,93 @@
+/**
+ * Site-wide settings: everything a fork changes to rebrand MarkVault. The
+ * file is validated when the site builds (see lib/config.js), so mistakes
+ * fail the build with a list of problems. Icons are Bootstrap Icons names
+ * without the `bi-` prefix (https://icons.getbootstrap.com).
+ */
+module.exports = {
+  name: 'MarkVault',
+  description:
+    'A modern markdown-powered platform designed for long-term content preservation',
+
+  // Public address of the site. Its path becomes the basePath of production
+  // builds, so a custom domain is just 'https://blog.example.com'
+  url: 'https://univault-org.github.io/MarkVault',
+
+  // date-fns format for dates shown on the site (https://date-fns.org/docs/format)
+  dateFormat: 'MMMM d, yyyy',
+
+  // Languages posts are written in. The first one is the default and keeps
+  // the unprefixed URLs (/posts/why); the others are served under their code
+  // (/vi/posts/why). `dateLocale` names a date-fns locale (defaults to the
+  // code) and `dateFormat` overrides the format above for that language.
+  locales: [
+    { code: 'en', label: 'English', dateLocale: 'enUS' },
+    { code: 'vi', label: 'Tiếng Việt', dateFormat: 'd MMMM, yyyy' },
+  ],
+
+  // Used for posts without an `image` in their front matter
+  defaultImage:
+    'https://images.unsplash.com/photo-1524995997946-a1c2e315a42f?q=80&w=1920&auto=format&fit=crop',
+
+  // URL of each post. :slug is the file name (or the post's `slug` field);
+  // :year, :month and :day come from its date, e.g. '/posts/:year/:slug'.
+  // Changing it moves every post, so list the old URLs under `aliases`
+  permalink: '/posts/:slug',
+
+  // Links in content to posts, pages or files that do not exist are listed
+  // by every build; 'error' fails the build instead of warning
+  brokenLinks: 'warn',
+
+  // Posts on each page of the /posts listing; older ones continue on
+  // /posts/page/2 and so on
+  postsPerPage: 10,
+
+  // Number of related posts suggested under each post, picked from shared
+  // tags, title words and text; 0 turns the suggestions off
+  relatedPosts: 3,
+
+  // Links shown next to the content pages marked `nav: true`; `order` places
+  // them among the pages' `navOrder`
+  nav: [
+    { label: 'Home', href: '/', order: 0 },
+    { label: 'Posts', href: '/posts', order: 10 },
+    { label: 'Archive', href: '/archive', order: 15 },
+  ],
+
+  hero: {
+    title: 'Preserve Your Digital Legacy',
+    subtitle:
+      'A modern markdown-powered platform designed for long-term content preservation',
+    actions: [
+      { label: 'Explore Posts', href: '/posts', icon: 'arrow-right' },
+      { label: 'Learn More', href: '/about', icon: 'info-circle', style: 'secondary' },
+    ],
+  },
+
+  features: {
+    title: 'Why Choose MarkVault?',
+    items: [
+      {
+        title: 'Markdown Powered',
+        description: 'Write in markdown, publish with confidence. Simple and powerful.',
+        icon: 'markdown-fill',
+      },
+      {
+        title: 'Dark Mode',
+        description: 'Easy on the eyes, day or night. Automatic theme switching.',
+        icon: 'moon-stars-fill',
+      },
+      {
+        title: 'Lightning Fast',
+        description: 'Minimal dependencies, maximum performance. Built for speed.',
+        icon: 'lightning-fill',
+      },
+    ],
+  },
+
+  footer: 'Built with MarkVault - Preserving digital content for generations',
+
+  social: [
+    { label: 'GitHub', href: 'https://github.com/univault-org/MarkVault', icon: 'github' },
+  ],
+}
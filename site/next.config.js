@@ -1,12 +1,31 @@
+const siteConfig = require('./markvault.config')
+
+// The path of the configured site URL is the basePath on GitHub Pages, e.g.
+// /MarkVault; a custom domain without a path needs none. The full config is
+// validated by lib/config.js when the site builds.
+const siteUrl = new URL(siteConfig.url)
+const basePath =
+  process.env.NODE_ENV === 'production' ? siteUrl.pathname.replace(/\/+$/, '') : ''
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
     output: 'export', // Enables static HTML export
     
-    // Configure base path for GitHub Pages
-    basePath: process.env.NODE_ENV === 'production' ? '/MarkVault' : '',
-    //IMPORTANT: for custom domains:
-    //basePath: process.env.NODE_ENV === 'production' ? '' : '',
+    basePath,
+
+    // Absolute URLs (feeds) need to know where the site is hosted
+    env: {
+      SITE_URL: process.env.SITE_URL || siteUrl.origin,
+      BASE_PATH: basePath,
+      // Loaded into headless Chrome by lib/plugins/rehype-mermaid.js; resolved
+      // here because webpack cannot follow a require.resolve at build time
+      MERMAID_SCRIPT: require.resolve('mermaid/dist/mermaid.min.js'),
+    },
     
+    // Bundle next-mdx-remote so its JSX runtime resolves to the React that
+    // Next.js renders the app router with
+    transpilePackages: ['next-mdx-remote'],
+
     // Required for static export
     images: {
       unoptimized: true,
@@ -27,4 +46,4 @@ const nextConfig = {
     }
   }
   
-  module.exports = nextConfig
\ No newline at end of file
+  module.exports = nextConfig
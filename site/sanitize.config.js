@@ -0,0 +1,27 @@
+/**
+ * HTML allowed in content/ files. Markdown may contain raw HTML, so every
+ * post and page is sanitized at build time: anything outside these lists is
+ * stripped and reported in the build output. The lists extend GitHub's own
+ * rules (the `defaultSchema` of hast-util-sanitize); attributes use their
+ * DOM property names (`className`, `srcSet`, `playsInline`).
+ */
+module.exports = {
+  // Elements allowed on top of GitHub's defaults
+  tagNames: ['abbr', 'aside', 'figcaption', 'figure', 'mark', 'small', 'u', 'video'],
+
+  // Extra attributes per element, '*' applies to every element
+  attributes: {
+    video: ['src', 'poster', 'controls', 'loop', 'muted', 'playsInline'],
+  },
+
+  // URL schemes allowed per attribute; relative URLs are always allowed
+  protocols: {
+    href: ['http', 'https', 'mailto'],
+    src: ['http', 'https'],
+    poster: ['http', 'https'],
+  },
+
+  // Files that skip sanitization, relative to the repository root, e.g.
+  // 'content/pages/about.md'. Only add files written by maintainers.
+  trusted: [],
+}
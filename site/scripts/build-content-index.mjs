@@ -0,0 +1,33 @@
+/*
+ * Write content/index.json, the list of posts and pages the single-file
+ * React site (index.html) loads instead of scraping directory listings.
+ *
+ *   pnpm content:index
+ *
+ * Run it after adding, renaming or editing the front matter of a post or
+ * page and commit the result; `pnpm content:check` fails while the file is
+ * out of date.
+ */
+import fs from "fs";
+import path from "path";
+import {
+  CONTENT_INDEX_FILE,
+  buildContentIndex,
+  renderContentIndex,
+} from "../lib/content-index.js";
+import { findContentDirectory } from "../lib/manifest.js";
+
+const contentDirectory = findContentDirectory();
+if (!contentDirectory) {
+  console.error("Content directory not found");
+  process.exit(1);
+}
+
+const index = buildContentIndex(contentDirectory);
+const target = path.join(contentDirectory, CONTENT_INDEX_FILE);
+fs.writeFileSync(target, renderContentIndex(index));
+
+console.log(
+  `Wrote ${path.relative(process.cwd(), target)}: ` +
+    `${index.posts.length} post(s), ${index.pages.length} page(s)`
+);
@@ -0,0 +1,179 @@
+/*
+ * Validate the front matter of every markdown file under content/.
+ *
+ *   pnpm content:check
+ *
+ * Prints one line per problem as file:line and exits non-zero when any
+ * file has errors. Warnings (such as unknown fields) are reported but do
+ * not fail the check. MDX posts are also checked against the component
+ * whitelist, formulas must parse with KaTeX, and raw HTML in markdown that
+ * the sanitizer will strip is reported as a warning. Mermaid diagrams need a
+ * browser and are only checked by the build. content/index.json has to
+ * match the content (see `pnpm content:index`).
+ */
+import fs from "fs";
+import path from "path";
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import remarkMdx from "remark-mdx";
+import remarkRehype from "remark-rehype";
+import { siteConfig } from "../lib/config.js";
+import {
+  CONTENT_INDEX_FILE,
+  buildContentIndex,
+  renderContentIndex,
+} from "../lib/content-index.js";
+import { remarkMdxWhitelist } from "../lib/mdx.js";
+import rehypeMath from "../lib/plugins/rehype-math.js";
+import { rehypeSanitizeContent } from "../lib/sanitize.js";
+import {
+  authorSchema,
+  formatIssue,
+  pageSchema,
+  postSchema,
+  validateContent,
+} from "../lib/schema.js";
+
+// Authors come first so posts can be checked against the known ids
+const schemas = {
+  authors: authorSchema,
+  posts: postSchema,
+  pages: pageSchema,
+};
+
+function findContentDirectory() {
+  const candidates = [
+    path.join(process.cwd(), "content"),
+    path.join(process.cwd(), "..", "content"),
+  ];
+  return candidates.find((dir) => fs.existsSync(dir));
+}
+
+// MDX nodes are left alone on the way to HTML; only the math matters there
+const MDX_NODES = [
+  "mdxJsxFlowElement",
+  "mdxJsxTextElement",
+  "mdxFlowExpression",
+  "mdxTextExpression",
+  "mdxjsEsm",
+];
+
+// Parse the MDX body with its original line numbers, run the whitelist and
+// render the math
+async function checkMdx(source, content, file) {
+  const offset = source.split("\n").length - content.split("\n").length;
+  const processor = remark()
+    .use(remarkMdx)
+    .use(remarkMath)
+    .use(remarkMdxWhitelist)
+    .use(remarkRehype, { passThrough: MDX_NODES })
+    .use(rehypeMath);
+  const value = "\n".repeat(offset) + content;
+
+  try {
+    await processor.run(processor.parse({ value, path: file }), { path: file });
+    return [];
+  } catch (error) {
+    if (error.issues) return error.issues;
+    return [
+      {
+        file,
+        line: error.line || 1,
+        severity: "error",
+        message: `invalid MDX: ${error.reason || error.message}`,
+      },
+    ];
+  }
+}
+
+// Report raw HTML in markdown that sanitizing will remove, and math that
+// does not render
+async function checkHtml(source, content, file) {
+  const offset = source.split("\n").length - content.split("\n").length;
+  const issues = [];
+  const processor = remark()
+    .use(remarkGfm)
+    .use(remarkMath)
+    .use(remarkRehype, { allowDangerousHtml: true })
+    .use(rehypeSanitizeContent, { report: (found) => issues.push(...found) })
+    .use(rehypeMath);
+  const value = "\n".repeat(offset) + content;
+
+  try {
+    await processor.run(processor.parse({ value, path: file }), { path: file });
+  } catch (error) {
+    if (!error.issues) throw error;
+    issues.push(...error.issues);
+  }
+  return issues;
+}
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(fullPath) : [fullPath];
+  });
+}
+
+const contentDirectory = findContentDirectory();
+if (!contentDirectory) {
+  console.error("Content directory not found");
+  process.exit(1);
+}
+
+const root = path.dirname(contentDirectory);
+const issues = [];
+const context = {
+  authors: [],
+  locales: siteConfig.locales.map((locale) => locale.code),
+};
+let checked = 0;
+
+for (const [collection, schema] of Object.entries(schemas)) {
+  const dir = path.join(contentDirectory, collection);
+  if (!fs.existsSync(dir)) continue;
+
+  for (const filePath of walk(dir).filter((file) => /\.mdx?$/.test(file))) {
+    const source = fs.readFileSync(filePath, "utf8");
+    const file = path.relative(root, filePath);
+    const result = validateContent(source, schema, file, context);
+    issues.push(...result.issues);
+
+    if (collection === "authors") {
+      context.authors.push(path.basename(filePath).replace(/\.md$/, ""));
+    }
+
+    if (filePath.endsWith(".mdx") && result.data) {
+      issues.push(...(await checkMdx(source, result.content, file)));
+    } else if (result.data) {
+      issues.push(...(await checkHtml(source, result.content, file)));
+    }
+    checked += 1;
+  }
+}
+
+// index.html lists posts from content/index.json, which has to follow the files
+const indexPath = path.join(contentDirectory, CONTENT_INDEX_FILE);
+const index = renderContentIndex(buildContentIndex(contentDirectory));
+if (!fs.existsSync(indexPath) || fs.readFileSync(indexPath, "utf8") !== index) {
+  issues.push({
+    file: path.relative(root, indexPath),
+    line: 1,
+    severity: "error",
+    message: `${fs.existsSync(indexPath) ? "is out of date" : "is missing"}; run pnpm content:index`,
+  });
+}
+
+issues.forEach((issue) => {
+  const log = issue.severity === "error" ? console.error : console.warn;
+  log(formatIssue(issue));
+});
+
+const errors = issues.filter((issue) => issue.severity === "error").length;
+const warnings = issues.length - errors;
+
+console.log(
+  `\nChecked ${checked} files: ${errors} error(s), ${warnings} warning(s)`
+);
+process.exit(errors ? 1 : 0);
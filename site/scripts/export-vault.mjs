@@ -0,0 +1,47 @@
+/*
+ * Export every post and page for reading without the site.
+ *
+ *   pnpm content:export
+ *
+ * Writes three files to dist/: an EPUB of all posts, oldest first, with a
+ * table of contents; one self-contained HTML file with every post and page
+ * and their images inlined; and that HTML file zipped. Images hosted
+ * elsewhere are downloaded into the exports; one that cannot be fetched is
+ * reported and replaced by a link to it. Content problems are printed as
+ * file:line, as with content:check.
+ */
+import fs from "fs";
+import path from "path";
+import { strToU8, zipSync } from "fflate";
+import { siteConfig } from "../lib/config.js";
+import { buildEpub, buildOfflineHtml, getVaultDocuments } from "../lib/export.js";
+import { slugify } from "../lib/markdown.js";
+import { formatIssue } from "../lib/schema.js";
+
+const outputDirectory = path.join(process.cwd(), "dist");
+const name = slugify(siteConfig.name) || "vault";
+
+function write(file, contents) {
+  const target = path.join(outputDirectory, file);
+  fs.writeFileSync(target, contents);
+  const size = (fs.statSync(target).size / 1024).toFixed(0);
+  console.log(`  ${path.relative(process.cwd(), target)} (${size} KB)`);
+}
+
+try {
+  const documents = await getVaultDocuments();
+  const posts = documents.filter((document) => document.kind === "post").length;
+
+  const epub = await buildEpub(documents);
+  const html = await buildOfflineHtml(documents);
+
+  fs.mkdirSync(outputDirectory, { recursive: true });
+  console.log(`\nExported ${posts} post(s) and ${documents.length - posts} page(s):`);
+  write(`${name}.epub`, epub);
+  write(`${name}.html`, html);
+  write(`${name}.zip`, zipSync({ [`${name}.html`]: strToU8(html) }));
+} catch (error) {
+  if (!error.issues) throw error;
+  error.issues.forEach((issue) => console.error(formatIssue(issue)));
+  process.exit(1);
+}
@@ -0,0 +1,36 @@
+/*
+ * Sign the content manifest of a finished build.
+ *
+ *   pnpm build
+ *   pnpm content:sign --key manifest-key.pem
+ *
+ * Writes out/content-manifest.json.sig, a base64 detached signature of
+ * out/content-manifest.json, to deploy with the rest of out/. The private
+ * key is a PEM file (Ed25519 recommended, RSA and EC work too), or the PEM
+ * itself in MANIFEST_SIGNING_KEY for CI secrets. Publish the public key
+ * where mirrors can find it; `pnpm content:verify --public-key` checks it.
+ */
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { MANIFEST_FILE, SIGNATURE_FILE, signManifest } from "../lib/manifest.js";
+
+const { values } = parseArgs({ options: { key: { type: "string" } } });
+
+const privateKey = values.key
+  ? fs.readFileSync(values.key, "utf8")
+  : process.env.MANIFEST_SIGNING_KEY;
+if (!privateKey) {
+  console.error("Pass the private key with --key <file> or MANIFEST_SIGNING_KEY");
+  process.exit(1);
+}
+
+const manifestPath = path.join(process.cwd(), "out", MANIFEST_FILE);
+if (!fs.existsSync(manifestPath)) {
+  console.error(`${path.relative(process.cwd(), manifestPath)} not found; run pnpm build first`);
+  process.exit(1);
+}
+
+const signature = signManifest(fs.readFileSync(manifestPath), privateKey);
+fs.writeFileSync(path.join(process.cwd(), "out", SIGNATURE_FILE), `${signature}\n`);
+console.log(`Signed out/${MANIFEST_FILE} as out/${SIGNATURE_FILE}`);
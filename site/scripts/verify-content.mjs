@@ -0,0 +1,109 @@
+/*
+ * Compare a copy of the vault with the content manifest the site publishes.
+ *
+ *   pnpm content:verify [checkout | content directory | archive.zip]
+ *     [--manifest <url or file>] [--public-key <file>]
+ *
+ * Checks the local content/ by default, and the published
+ * /content-manifest.json of the `url` in markvault.config.js unless
+ * --manifest names another. Prints every file that is missing, extra or
+ * altered and exits non-zero when there are any. With --public-key the
+ * manifest's detached signature (the manifest's URL or path plus .sig) must
+ * verify as well.
+ */
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { siteConfig } from "../lib/config.js";
+import {
+  MANIFEST_FILE,
+  buildManifest,
+  compareManifests,
+  findContentDirectory,
+  readContentArchive,
+  readContentDirectory,
+  verifyManifestSignature,
+} from "../lib/manifest.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    manifest: { type: "string" },
+    "public-key": { type: "string" },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// A manifest or signature from the site, or from a file saved earlier
+async function load(location) {
+  if (!/^https?:\/\//i.test(location)) {
+    if (!fs.existsSync(location)) fail(`${location} does not exist`);
+    return fs.readFileSync(location, "utf8");
+  }
+
+  const response = await fetch(location, { signal: AbortSignal.timeout(30000) }).catch(
+    (error) => fail(`Could not download ${location}: ${error.message}`)
+  );
+  if (!response.ok) fail(`Could not download ${location}: HTTP ${response.status}`);
+  return response.text();
+}
+
+function readSource(source) {
+  if (source.toLowerCase().endsWith(".zip")) {
+    if (!fs.existsSync(source)) fail(`${source} does not exist`);
+    return readContentArchive(fs.readFileSync(source));
+  }
+
+  const contentDirectory = findContentDirectory(path.resolve(source));
+  if (!contentDirectory) fail(`No content directory found in ${source}`);
+  return readContentDirectory(contentDirectory);
+}
+
+const location =
+  values.manifest || `${siteConfig.url.replace(/\/+$/, "")}/${MANIFEST_FILE}`;
+const source = positionals[0] || ".";
+const raw = await load(location);
+
+if (values["public-key"]) {
+  const publicKey = fs.readFileSync(values["public-key"], "utf8");
+  const signature = await load(`${location}.sig`);
+  let valid = false;
+  try {
+    valid = verifyManifestSignature(raw, signature, publicKey);
+  } catch (error) {
+    fail(`Could not check the signature: ${error.message}`);
+  }
+  if (!valid) fail(`The signature of ${location} does not match ${values["public-key"]}`);
+  console.log(`Signature of ${location} is valid`);
+}
+
+let published;
+try {
+  published = JSON.parse(raw);
+} catch {
+  fail(`${location} is not a content manifest`);
+}
+if (!Array.isArray(published?.files)) fail(`${location} is not a content manifest`);
+
+const files = readSource(source);
+if (!files.length) fail(`No content found in ${source}`);
+
+const { missing, extra, altered } = compareManifests(published, buildManifest(files));
+
+missing.forEach((file) => console.error(`missing  ${file.path}`));
+extra.forEach((file) => console.error(`extra    ${file.path}`));
+altered.forEach(({ path: file, expected, actual }) => {
+  const size = expected.size === actual.size ? "" : ` (${expected.size} -> ${actual.size} bytes)`;
+  console.error(`altered  ${file}${size}`);
+});
+
+const differences = missing.length + extra.length + altered.length;
+console.log(
+  `\nCompared ${files.length} files with ${published.files.length} in ${location}: ` +
+    `${missing.length} missing, ${extra.length} extra, ${altered.length} altered`
+);
+process.exit(differences ? 1 : 0);